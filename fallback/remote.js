@@ -0,0 +1,247 @@
+/**
+ * Remote-control fallback: stream the browser to the human, replay their input
+ *
+ * For challenges that neither the token relay nor the grid can handle
+ * (sliders, rotate-the-image, puzzle pieces, custom widgets). Frames come from
+ * Page.startScreencast and are pushed to the relay page over server-sent
+ * events; taps, drags and keys come back as trusted Input.dispatch*Event
+ * calls, so the page sees real user input.
+ */
+const { openSession } = require('../lib/cdp');
+const { DEEP_QUERY } = require('../lib/frames');
+
+// Elements that usually hold a challenge, tried in order for region 'auto'
+const REGION_SELECTORS = [
+  'iframe[src*="captcha"]',
+  'iframe[title*="captcha" i]',
+  'iframe[src*="challenge"]',
+  '[id*="captcha" i]',
+  '[class*="captcha" i]',
+];
+
+// Space around the streamed region, in CSS pixels
+const REGION_PADDING = 16;
+
+// Largest input batch the page may POST
+const MAX_INPUT_BODY = 64 * 1024;
+
+const POLL_SCRIPT = (regionSelectors, successSelector) => `
+(() => {
+  ${DEEP_QUERY}
+  let rect = null;
+  for (const sel of ${JSON.stringify(regionSelectors)}) {
+    for (const el of __deepQueryAll(sel)) {
+      const r = el.getBoundingClientRect();
+      if (r.width > 20 && r.height > 20) { rect = r; break; }
+    }
+    if (rect) break;
+  }
+  const field = __deepQueryAll('[name="g-recaptcha-response"], [name="h-captcha-response"], [name="cf-turnstile-response"]')
+    .find(f => f.value);
+  return {
+    region: rect ? { x: rect.x, y: rect.y, width: rect.width, height: rect.height } : null,
+    viewport: { width: innerWidth, height: innerHeight },
+    token: field ? field.value : null,
+    success: ${successSelector ? `!!__deepQuery(${JSON.stringify(successSelector)})` : 'false'},
+  };
+})()
+`;
+
+function padRegion(region, viewport) {
+  if (!region) return null;
+  const x = Math.max(0, region.x - REGION_PADDING);
+  const y = Math.max(0, region.y - REGION_PADDING);
+  return {
+    x: Math.round(x),
+    y: Math.round(y),
+    width: Math.round(Math.min(viewport.width, region.x + region.width + REGION_PADDING) - x),
+    height: Math.round(Math.min(viewport.height, region.y + region.height + REGION_PADDING) - y),
+  };
+}
+
+const KEY_ACTIONS = ['down', 'up'];
+const POINTER_TYPES = {
+  mouse: { down: 'mousePressed', move: 'mouseMoved', up: 'mouseReleased' },
+  touch: { down: 'touchStart', move: 'touchMove', up: 'touchEnd' },
+};
+
+/**
+ * Start streaming a page target and accepting input for it.
+ * @param {object} opts
+ * @param {number} opts.cdpPort
+ * @param {object|string} opts.target - targetId, or { targetId, urlMatch, titleMatch }
+ * @param {string} opts.region - 'auto' (first CAPTCHA-looking element, else the
+ *   whole viewport), a CSS selector, or null for the whole viewport
+ * @param {string} opts.successSelector - Finish when this selector appears
+ * @param {string} opts.touch - Replay touches as 'mouse' events (default; works
+ *   with desktop drag handlers) or as real 'touch' events
+ * @returns {{ targetId, routes, done: Promise<{ reason, token }>, stop }}
+ *   routes are relay job handlers: GET stream (SSE) and POST input
+ */
+async function startRemoteControl(opts = {}) {
+  const {
+    cdpPort = 18800, target, region = 'auto', successSelector, touch = 'mouse',
+    quality = 60, maxWidth = 1280, maxHeight = 1280, interval = 1000,
+  } = opts;
+  const regionSelectors = region === 'auto' ? REGION_SELECTORS : region && region !== 'viewport' ? [region] : [];
+
+  const { session, target: page, release } = await openSession(cdpPort, target);
+
+  const clients = new Set();
+  let lastFrame = null;
+  let lastRegion = null;
+  let viewport = { width: 0, height: 0 };
+  let stopped = false;
+  let finish;
+  const done = new Promise(r => { finish = r; });
+
+  const sendEvent = (res, type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  const broadcast = (type, data) => {
+    for (const res of clients) sendEvent(res, type, data);
+  };
+
+  const onFrame = ({ data, metadata, sessionId }) => {
+    session.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+    lastFrame = { data, width: metadata.deviceWidth, height: metadata.deviceHeight };
+    broadcast('frame', lastFrame);
+  };
+  session.on('Page.screencastFrame', onFrame);
+  await session.send('Page.startScreencast', { format: 'jpeg', quality, maxWidth, maxHeight });
+
+  // Input replay, one event at a time in arrival order
+  let pressed = false;
+  let queue = Promise.resolve();
+  const clamp = (v, max) => Math.min(Math.max(0, Number(v) || 0), max || Infinity);
+
+  const dispatch = async (e) => {
+    if (e.type === 'pointer' && POINTER_TYPES.mouse[e.action]) {
+      const x = clamp(e.x, viewport.width);
+      const y = clamp(e.y, viewport.height);
+      if (e.touch && touch === 'touch') {
+        const type = POINTER_TYPES.touch[e.action];
+        await session.send('Input.dispatchTouchEvent', { type, touchPoints: type === 'touchEnd' ? [] : [{ x, y }] });
+        return;
+      }
+      if (e.action === 'down') pressed = true;
+      if (e.action === 'up') pressed = false;
+      await session.send('Input.dispatchMouseEvent', {
+        type: POINTER_TYPES.mouse[e.action],
+        x,
+        y,
+        button: e.action !== 'move' || pressed ? 'left' : 'none',
+        buttons: pressed ? 1 : 0,
+        clickCount: e.action === 'move' ? 0 : 1,
+      });
+    } else if (e.type === 'wheel') {
+      await session.send('Input.dispatchMouseEvent', {
+        type: 'mouseWheel',
+        x: clamp(e.x, viewport.width),
+        y: clamp(e.y, viewport.height),
+        deltaX: Number(e.deltaX) || 0,
+        deltaY: Number(e.deltaY) || 0,
+      });
+    } else if (e.type === 'key' && KEY_ACTIONS.includes(e.action) && typeof e.key === 'string') {
+      const printable = e.key.length === 1;
+      // Enter only submits forms when it carries text
+      const text = printable ? e.key : e.key === 'Enter' ? '\r' : undefined;
+      await session.send('Input.dispatchKeyEvent', {
+        type: e.action === 'up' ? 'keyUp' : text ? 'keyDown' : 'rawKeyDown',
+        key: e.key,
+        code: typeof e.code === 'string' ? e.code : undefined,
+        windowsVirtualKeyCode: Number(e.keyCode) || undefined,
+        text: e.action === 'down' ? text : undefined,
+      });
+    } else if (e.type === 'text' && typeof e.text === 'string' && e.text) {
+      // Soft keyboards rarely report usable key codes; insert what they typed
+      await session.send('Input.insertText', { text: e.text });
+    }
+  };
+
+  const routes = {
+    stream: (req, res) => {
+      if (req.method !== 'GET') {
+        res.writeHead(405);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', 'Connection': 'keep-alive' });
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      sendEvent(res, 'region', lastRegion);
+      if (lastFrame) sendEvent(res, 'frame', lastFrame);
+    },
+    input: (req, res) => {
+      if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end();
+        return;
+      }
+      let body = '';
+      req.on('data', c => {
+        body += c;
+        if (body.length > MAX_INPUT_BODY) {
+          res.writeHead(413);
+          res.end();
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        if (res.writableEnded) return;
+        let events;
+        try {
+          ({ events } = JSON.parse(body));
+        } catch {}
+        if (!Array.isArray(events)) {
+          res.writeHead(400);
+          res.end('Bad request');
+          return;
+        }
+        for (const e of events) {
+          if (e && typeof e === 'object') queue = queue.then(() => !stopped && dispatch(e)).catch(() => {});
+        }
+        res.writeHead(204);
+        res.end();
+      });
+    },
+  };
+
+  const stop = async (reason = 'stopped', token = null) => {
+    if (stopped) return;
+    stopped = true;
+    broadcast('done', { reason });
+    for (const res of clients) res.end();
+    clients.clear();
+    session.off('Page.screencastFrame', onFrame);
+    await session.send('Page.stopScreencast').catch(() => {});
+    release();
+    finish({ reason, token });
+  };
+
+  // Watch for the end: a response token or the success selector
+  (async () => {
+    while (!stopped) {
+      try {
+        const { result } = await session.send('Runtime.evaluate', {
+          expression: POLL_SCRIPT(regionSelectors, successSelector),
+          returnByValue: true,
+        });
+        const state = result.value;
+        viewport = state.viewport;
+        const next = padRegion(state.region, viewport);
+        if (JSON.stringify(next) !== JSON.stringify(lastRegion)) {
+          lastRegion = next;
+          broadcast('region', lastRegion);
+        }
+        if (state.token) return stop('token', state.token);
+        if (state.success) return stop('success-selector');
+      } catch {
+        // Mid-navigation; try again on the next tick
+      }
+      await new Promise(r => setTimeout(r, interval));
+    }
+  })();
+
+  return { targetId: page.id, pageUrl: page.url, routes, done, stop };
+}
+
+module.exports = { startRemoteControl };
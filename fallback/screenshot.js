@@ -1,59 +1,127 @@
 /**
  * Screenshot-based CAPTCHA relay (fallback for domain-locked CAPTCHAs)
- * Takes screenshot, overlays numbered grid, sends to human via Telegram
+ * Takes screenshot, overlays numbered grid; index.js serves it to the human
+ * as a tap-to-select relay page and clicks the selected cells
  */
-const { CdpSession, getCdpWsUrl } = require('../lib/cdp');
+const { openSession } = require('../lib/cdp');
+const { listFrames, getFrameContext, getFrameOffset } = require('../lib/frames');
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+
+// Page-side helpers for reading the reCAPTCHA challenge frame
+const CHALLENGE_HELPERS = `
+  const visibleError = (doc) => {
+    const els = doc.querySelectorAll('.rc-imageselect-incorrect-response, [class^="rc-imageselect-error"]');
+    for (const el of els) {
+      if (doc.defaultView.getComputedStyle(el).display !== 'none' && el.textContent.trim()) return el.textContent.trim();
+    }
+    return null;
+  };
+  const tileSignature = (doc) => [...doc.querySelectorAll('td[role="button"] img')].map(i => i.src).join('|');
+`;
+
+// reCAPTCHA's challenge iframe. It is cross-origin, so its document can't be
+// reached through contentDocument; scripts run in the frame's own context
+const BFRAME_SELECTOR = 'iframe[src*="recaptcha/api2/bframe"]';
+const BFRAME_RE = /recaptcha\/api2\/bframe/;
+
+/**
+ * Find the challenge frame and the frame whose document embeds it: the page,
+ * or the iframe a widget was rendered in. Returns { bframe, host }; without
+ * a challenge, bframe is undefined and host is the main frame.
+ */
+async function findChallenge(session) {
+  const frames = await listFrames(session);
+  const bframe = frames.find(f => BFRAME_RE.test(f.url));
+  const host = (bframe && frames.find(f => f.frameId === bframe.parentId)) || frames[0];
+  return { bframe, host };
+}
+
+// Evaluate an expression in a frame's main world and return its value
+async function evaluateIn(session, frame, expression) {
+  const { sessionId, contextId } = await getFrameContext(session, frame.frameId);
+  const { result, exceptionDetails } = await session.send('Runtime.evaluate', {
+    expression,
+    contextId,
+    returnByValue: true,
+  }, sessionId);
+  if (exceptionDetails) throw new Error(`Challenge script failed: ${exceptionDetails.text}`);
+  return result.value;
+}
+
+/**
+ * Where the challenge frame's viewport sits in the viewport of the frame
+ * that embeds it: its content box, inside border and padding
+ */
+const BFRAME_RECT_SCRIPT = `
+(() => {
+  const bframe = document.querySelector('${BFRAME_SELECTOR}');
+  if (!bframe) return null;
+  const r = bframe.getBoundingClientRect();
+  const s = getComputedStyle(bframe);
+  return {
+    x: r.x + parseFloat(s.borderLeftWidth) + parseFloat(s.paddingLeft),
+    y: r.y + parseFloat(s.borderTopWidth) + parseFloat(s.paddingTop),
+  };
+})()
+`;
 
 /**
- * Detect grid dimensions from CAPTCHA iframe
+ * Detect grid dimensions, run inside the challenge frame
  */
 const GRID_DETECT_SCRIPT = `
 (() => {
-  // Try reCAPTCHA bframe
-  const bframe = document.querySelector('iframe[src*="recaptcha/api2/bframe"]');
-  if (bframe) {
-    try {
-      const doc = bframe.contentDocument;
-      const tds = doc.querySelectorAll('td[role="button"]');
-      const rows = doc.querySelectorAll('tr').length;
-      const cols = tds.length / rows;
-      const prompt = doc.querySelector('.rc-imageselect-desc-no-canonical')?.textContent ||
-                     doc.querySelector('.rc-imageselect-desc')?.textContent || '';
-      const table = doc.querySelector('table.rc-imageselect-table');
-      const rect = table ? table.getBoundingClientRect() : null;
-      const frameRect = bframe.getBoundingClientRect();
-      return {
-        found: true, rows, cols, prompt,
-        gridClip: rect ? {
-          x: Math.round(frameRect.x + rect.x),
-          y: Math.round(frameRect.y + rect.y),
-          w: Math.round(rect.width),
-          h: Math.round(rect.height)
-        } : null
-      };
-    } catch(e) {
-      return { found: true, rows: 3, cols: 3, prompt: '', gridClip: null, error: e.message };
-    }
-  }
-  return { found: false };
+  ${CHALLENGE_HELPERS}
+  const tds = document.querySelectorAll('td[role="button"]');
+  const rows = document.querySelectorAll('tr').length;
+  const prompt = document.querySelector('.rc-imageselect-desc-no-canonical')?.textContent ||
+                 document.querySelector('.rc-imageselect-desc')?.textContent || '';
+  const table = document.querySelector('table.rc-imageselect-table');
+  const rect = table ? table.getBoundingClientRect() : null;
+  return {
+    rows: rows || 3,
+    cols: rows ? tds.length / rows : 3,
+    prompt,
+    // "Click verify once there are none left": clicked tiles are replaced
+    dynamic: /none left/i.test(prompt),
+    notice: visibleError(document),
+    gridRect: rect ? { x: rect.x, y: rect.y, w: rect.width, h: rect.height } : null,
+  };
 })()
 `;
 
-async function captureAndAnnotate(cdpPort = 18800) {
-  const wsUrl = await getCdpWsUrl(cdpPort);
-  const session = new CdpSession(wsUrl);
-  await session.connect();
+/**
+ * @param {number} cdpPort
+ * @param {object|string} target - targetId, or { targetId, urlMatch, titleMatch }
+ * @param {object} opts
+ * @param {boolean} opts.save - Also write the image to a file readable only by
+ *   this user and return its `imagePath` (the caller deletes it). Relay
+ *   rounds use `imageBuffer` and leave nothing on disk.
+ */
+async function captureAndAnnotate(cdpPort = 18800, target, opts = {}) {
+  const { session, target: page, release } = await openSession(cdpPort, target);
 
   try {
-    // Detect grid
-    const gridInfo = await session.send('Runtime.evaluate', {
-      expression: GRID_DETECT_SCRIPT,
-      returnByValue: true,
-    });
-    const grid = gridInfo.result.value;
+    // Detect grid; without a challenge frame the whole viewport is captured
+    const { bframe, host } = await findChallenge(session);
+    const grid = (bframe && await evaluateIn(session, bframe, GRID_DETECT_SCRIPT)) || {};
+    if (grid.gridRect) {
+      const frame = await evaluateIn(session, host, BFRAME_RECT_SCRIPT);
+      if (frame) {
+        // The clip is in document coordinates: page scroll, the offset of the
+        // widget's own iframe (if any), the challenge frame, the grid
+        const offset = await getFrameOffset(session, host.frameId);
+        const { cssVisualViewport } = await session.send('Page.getLayoutMetrics');
+        grid.gridClip = {
+          x: Math.round(cssVisualViewport.pageX + offset.x + frame.x + grid.gridRect.x),
+          y: Math.round(cssVisualViewport.pageY + offset.y + frame.y + grid.gridRect.y),
+          w: Math.round(grid.gridRect.w),
+          h: Math.round(grid.gridRect.h),
+        };
+      }
+    }
 
     // Take screenshot
     const screenshotResult = await session.send('Page.captureScreenshot', {
@@ -100,55 +168,147 @@ async function captureAndAnnotate(cdpPort = 18800) {
       .png()
       .toBuffer();
 
-    const outPath = path.join('/tmp', `captcha-grid-${Date.now()}.png`);
-    fs.writeFileSync(outPath, annotated);
+    let imagePath;
+    if (opts.save) {
+      imagePath = path.join(os.tmpdir(), `captcha-grid-${Date.now()}.png`);
+      fs.writeFileSync(imagePath, annotated, { mode: 0o600 });
+    }
 
     return {
-      imagePath: outPath,
+      imagePath,
       imageBuffer: annotated,
       prompt: grid.prompt || 'Select the correct images',
       rows,
       cols,
       totalCells: rows * cols,
+      dynamic: !!grid.dynamic,
+      notice: grid.notice || null,
+      targetId: page.id,
+      pageUrl: page.url,
     };
   } finally {
-    session.close();
+    release();
   }
 }
 
 /**
  * Inject cell clicks into reCAPTCHA grid
+ * @param {number[]} cells - 1-based cell numbers
+ * @param {number} cdpPort
+ * @param {object|string} target - same target captureAndAnnotate used (its targetId)
+ * @param {object} opts
+ * @param {boolean} opts.verify - Press Verify after clicking (default: true).
+ *   Dynamic rounds pass false until the human reports no matching tiles left.
+ * @returns {string} 'clicked-1,5'; throws when no challenge grid is open
  */
-async function injectGridClicks(cells, cdpPort = 18800) {
-  const wsUrl = await getCdpWsUrl(cdpPort);
-  const session = new CdpSession(wsUrl);
-  await session.connect();
+async function injectGridClicks(cells, cdpPort = 18800, target, opts = {}) {
+  const { verify = true } = opts;
+  const { session, release } = await openSession(cdpPort, target);
 
   try {
     const script = `
       (() => {
         const cells = ${JSON.stringify(cells)};
-        const bframe = document.querySelector('iframe[src*="recaptcha/api2/bframe"]');
-        if (!bframe) return 'no-bframe';
-        const doc = bframe.contentDocument;
-        const tds = doc.querySelectorAll('td[role="button"]');
-        cells.forEach(c => { if (tds[c - 1]) tds[c - 1].click(); });
-        // Click verify after a short delay
-        setTimeout(() => {
-          const verify = doc.querySelector('#recaptcha-verify-button');
-          if (verify) verify.click();
-        }, 500);
-        return 'clicked-' + cells.join(',');
+        const tds = document.querySelectorAll('td[role="button"]');
+        if (!tds.length) return null;
+        const missing = cells.filter(c => !tds[c - 1]);
+        if (missing.length) return { error: 'Cell ' + missing.join(', ') + ' is not on the ' + tds.length + '-cell grid' };
+        cells.forEach(c => tds[c - 1].click());
+        if (${JSON.stringify(verify)}) {
+          // Click verify after a short delay
+          setTimeout(() => {
+            const verify = document.querySelector('#recaptcha-verify-button');
+            if (verify) verify.click();
+          }, 500);
+        }
+        return { clicked: cells };
       })()
     `;
-    const result = await session.send('Runtime.evaluate', {
-      expression: script,
-      returnByValue: true,
-    });
-    return result.result.value;
+    const { bframe } = await findChallenge(session);
+    const result = bframe && await evaluateIn(session, bframe, script);
+    if (!result) throw new Error('No image challenge open on the page');
+    if (result.error) throw new Error(result.error);
+    return 'clicked-' + cells.join(',');
   } finally {
-    session.close();
+    release();
+  }
+}
+
+// The embedding frame's side of the state: token field and whether the
+// challenge shows
+const CHALLENGE_STATE_SCRIPT = `
+(() => {
+  const field = [...document.querySelectorAll('[name="g-recaptcha-response"]')].find(f => f.value);
+  const bframe = document.querySelector('${BFRAME_SELECTOR}');
+  let open = false;
+  if (bframe) {
+    const r = bframe.getBoundingClientRect();
+    const holder = bframe.parentElement && bframe.parentElement.parentElement;
+    open = r.height > 0 && r.y > -1000 && !(holder && getComputedStyle(holder).visibility === 'hidden');
+  }
+  return { token: field ? field.value : null, open };
+})()
+`;
+
+// The challenge frame's side: error text and the current tiles
+const CHALLENGE_CONTENT_SCRIPT = `
+(() => {
+  ${CHALLENGE_HELPERS}
+  return { error: visibleError(document), tiles: tileSignature(document) };
+})()
+`;
+
+/**
+ * Read the challenge state: { token, open, error, tiles }. `token` is set
+ * once reCAPTCHA accepted the answer; `tiles` fingerprints the current images,
+ * and is null when the challenge frame couldn't be read.
+ */
+async function getChallengeState(cdpPort = 18800, target) {
+  const { session, release } = await openSession(cdpPort, target);
+
+  try {
+    const { bframe, host } = await findChallenge(session);
+    const state = await evaluateIn(session, host, CHALLENGE_STATE_SCRIPT);
+    let content = null;
+    if (state.open && bframe) {
+      // The frame may be mid-update; the next poll reads it again
+      content = await evaluateIn(session, bframe, CHALLENGE_CONTENT_SCRIPT).catch(() => null);
+    }
+    return { ...state, error: null, tiles: null, ...content };
+  } finally {
+    release();
+  }
+}
+
+/**
+ * After a submission, wait for the challenge to react. Resolves with
+ * { outcome, state } where outcome is:
+ *   'solved'     the response field holds a token
+ *   'error'      an error message shows ("Please try again", "select all", ...)
+ *   'new-round'  the tiles changed (new challenge, or dynamic replacements)
+ *   'closed'     the challenge went away without a token
+ *   'unchanged'  nothing happened within the timeout
+ * @param {object} before - getChallengeState() from before the submission
+ */
+async function waitForChallengeUpdate(cdpPort = 18800, target, before, opts = {}) {
+  const { timeout = 10000, interval = 500, settle = 1500 } = opts;
+  const deadline = Date.now() + timeout;
+  let state = before;
+  while (Date.now() < deadline) {
+    await new Promise(r => setTimeout(r, interval));
+    state = await getChallengeState(cdpPort, target);
+    if (state.token) return { outcome: 'solved', state };
+    if (!state.open) return { outcome: 'closed', state };
+    const outcome = state.error && state.error !== before.error ? 'error'
+      : state.tiles && before.tiles && state.tiles !== before.tiles ? 'new-round'
+      : null;
+    if (outcome) {
+      // New or replacement tiles fade in; give them time before the next capture
+      await new Promise(r => setTimeout(r, settle));
+      return { outcome, state: await getChallengeState(cdpPort, target) };
+    }
   }
+  return { outcome: 'unchanged', state };
 }
 
-module.exports = { captureAndAnnotate, injectGridClicks };
+module.exports = { captureAndAnnotate, injectGridClicks, getChallengeState, waitForChallengeUpdate };
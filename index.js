@@ -3,143 +3,1160 @@
  * CAPTCHA Relay v2 — Token-based CAPTCHA solving via human relay
  *
  * Usage:
- *   node index.js [--timeout 120] [--cdp-port 18800] [--inject] [--no-tunnel]
+ *   node index.js [--timeout 120] [--cdp-port 18800 | --cdp-url <endpoint>] [--port 0] [--inject] [--no-tunnel]
+ *                 [--target <id> | --url-match <regex> | --title-match <regex>]
+ *   node index.js watch [...]   stay attached and solve CAPTCHAs as they appear
+ *   node index.js detect | serve | inject | screenshot | click [...]   single steps
+ *   node index.js api --api-key KEY   2captcha / anti-captcha compatible API
+ *   node index.js --help
  *
  * As module:
  *   const { solveCaptcha } = require('./index');
  *   const result = await solveCaptcha({ cdpPort: 18800, inject: true });
+ *
+ * Shared relay (one port + one tunnel for many concurrent solves):
+ *   const relay = await startRelay({ port: 8765 });
+ *   await Promise.all([solveCaptcha({ relay, cdpPort: 18800 }), solveCaptcha({ relay, cdpPort: 18801 })]);
+ *   relay.close();
+ *
+ * Remote browser (any host; HTTP or browser WebSocket DevTools endpoint):
+ *   await solveCaptcha({ cdpEndpoint: 'ws://chrome:3000?token=...', cdpHeaders: { Authorization: '...' } });
+ *
+ * Puppeteer / Playwright (the tab you pass in, over the library's CDP session):
+ *   await solveCaptcha({ page });
  */
 
+const { endpointOf, openSession, closeSessions } = require('./lib/cdp');
 const { detectCaptcha } = require('./lib/detect');
-const { createRelayServer } = require('./lib/server');
+const { createRelayDaemon } = require('./lib/server');
+const { mountSolverApi } = require('./lib/solverapi');
 const { startTunnel, stopTunnel, getLocalIp, getTailscaleIp } = require('./lib/tunnel');
 const { injectToken } = require('./lib/inject');
-const { captureAndAnnotate, injectGridClicks } = require('./fallback/screenshot');
+const { injectAndVerify } = require('./lib/verify');
+const { captureImage, refreshImage, typeAnswer } = require('./lib/imagetext');
+const { watchToken } = require('./lib/expiry');
+const { registerProvider, findProvider, templateFor, tokenTimes } = require('./lib/providers');
+const { createSinks, deliverToken } = require('./lib/sinks');
+const { createNotifiers, notifyAll } = require('./lib/notify');
+const { watchTargets } = require('./lib/watch');
+const { createReporter, createJob, stderrLogger, abortError, untilAborted } = require('./lib/events');
+const { captureAndAnnotate, injectGridClicks, getChallengeState, waitForChallengeUpdate } = require('./fallback/screenshot');
+const { startRemoteControl } = require('./fallback/remote');
+
+// Build a send function for the given notifier specs. Each send is reported
+// as a `notified` event; failures are only logged
+function createNotify(specs, { emit, log }) {
+  const notifiers = createNotifiers(specs);
+  return async (event) => {
+    if (!notifiers.length) return;
+    const results = await notifyAll(notifiers, event);
+    for (const n of results) {
+      if (!n.ok) log(`Notifier ${n.notifier} failed: ${n.error}`);
+    }
+    emit('notified', { kind: event.event, jobId: event.jobId, widgetId: event.widgetId, results });
+  };
+}
+
+/**
+ * Start a long-running relay daemon, optionally behind a tunnel.
+ * Pass the returned handle to solveCaptcha({ relay }) to enqueue jobs into it.
+ * @param {object} opts
+ * @param {number} opts.port - Fixed port for the daemon (default: 8765)
+ * @param {boolean} opts.useTunnel - Expose via localtunnel/cloudflared (default: true)
+ * @param {string[]} opts.allowedOrigins - Origins allowed to submit tokens cross-origin
+ * @param {AbortSignal} opts.signal - Gives up on a tunnel that is still starting
+ */
+async function startRelay(opts = {}) {
+  const { port = 8765, useTunnel = true, allowedOrigins, signal } = opts;
+  const { log } = createReporter(opts);
+
+  log('Starting relay server...');
+  const daemon = await createRelayDaemon({ port, allowedOrigins });
+  log(`Relay server on port ${daemon.port}`);
+
+  let tunnel = null;
+  let url;
+  if (useTunnel) {
+    log('Starting tunnel...');
+    try {
+      tunnel = await startTunnel(daemon.port, { signal });
+    } catch (e) {
+      daemon.close();
+      throw e;
+    }
+    url = tunnel.url;
+    log(`Public URL: ${url}`);
+  } else {
+    const tsIp = getTailscaleIp();
+    const ip = tsIp || getLocalIp();
+    url = `http://${ip}:${daemon.port}`;
+    log(`${tsIp ? 'Tailscale' : 'Local'} URL: ${url}`);
+  }
+
+  return {
+    daemon,
+    port: daemon.port,
+    url,
+    isLocal: tunnel ? tunnel.isLocal : true,
+    close: () => {
+      daemon.close();
+      stopTunnel(tunnel);
+    },
+  };
+}
+
+/**
+ * Pick the widgets to solve from a detection result.
+ * @param {string|number} selector - undefined (first widget), 'all', or a widget id
+ */
+function selectWidgets(detection, selector) {
+  const widgets = detection.widgets && detection.widgets.length
+    ? detection.widgets
+    : [{ type: detection.type, sitekey: detection.sitekey, frameId: detection.frameId, widgetId: null }];
+  if (selector === undefined || selector === null) return widgets.slice(0, 1);
+  if (selector === 'all') return widgets;
+  const chosen = widgets.filter(w => String(w.widgetId) === String(selector));
+  if (!chosen.length) {
+    throw new Error(`No widget with id ${selector}. Detected: ${widgets.map(w => `${w.type}#${w.widgetId}`).join(', ')}`);
+  }
+  return chosen;
+}
 
 async function solveCaptcha(opts = {}) {
   const {
-    cdpPort = 18800,
     timeout = 120000,
     inject = true,
     useTunnel = true,
+    relayPort = 0,
+    allowedOrigins,
+    // Relay link lifetime in ms (defaults to the full timeout)
+    linkTtl,
+    // Token sink specs, see lib/sinks.js ('none' or [] for no delivery)
+    sinks: sinkSpecs,
+    // Notifier specs, see lib/notify.js (Telegram, webhook, ntfy, Gotify)
+    notify: notifySpecs,
+    // Browser tab selection; detection and injection use the same tab
+    targetId,
+    urlMatch,
+    titleMatch,
+    // Keep re-scanning this many ms for widgets injected after load
+    detectWait = 0,
+    // Widget id to solve, or 'all' (one relay job per widget); default: first
+    widget: widgetSelector,
+    // Existing relay from startRelay(); a temporary one is started otherwise
+    relay: sharedRelay,
+    // A detectCaptcha() result to solve instead of scanning (watch mode)
+    detection: presetDetection,
     // Allow manual override
     type: overrideType,
     sitekey: overrideSitekey,
     pageUrl: overridePageUrl,
+    action: overrideAction,
+    // Render parameters (theme, size, s, cdata, rqdata, hl, ...)
+    params: overrideParams,
+    widgetId: overrideWidgetId = null,
+    // Check that the page accepted the token after injection
+    verify = true,
+    successSelector,
+    waitForNavigation = false,
+    verifyTimeout = 10000,
+    // On failed verification: 'none', 'callback' (inject again) or 'relay'
+    // (open a fresh relay job for a new token)
+    retry = 'none',
+    retries = 1,
+    // Keep watching the injected token; re-solve if it lapses before use
+    watchExpiry = false,
+    maxResolves = 3,
+    // Extra CAPTCHA providers, ahead of the built-ins (see lib/providers)
+    providers,
+    // AbortSignal: cancels the solve, and the token watch after it
+    signal,
   } = opts;
+  if (signal && signal.aborted) throw abortError(signal);
+  // Progress goes to opts.onEvent and opts.logger (lib/events.js), never stdout
+  const { emit, log } = createReporter(opts);
+  // Local port, a remote endpoint (cdpEndpoint + cdpHeaders), or a Puppeteer /
+  // Playwright `page` whose own CDP session is used; see lib/cdp.js
+  const cdp = endpointOf(opts);
 
-  const log = (msg) => process.stderr.write(`[captcha-relay] ${msg}\n`);
+  const sinks = createSinks(sinkSpecs);
+  const notify = createNotify(notifySpecs, { emit, log });
+  const targetCriteria = { targetId, urlMatch, titleMatch };
+  // Before any relay job exists there is only the caller to tell
+  const cancelledEarly = (e) => {
+    if (e.name === 'AbortError') emit('cancelled', { jobIds: [] });
+    throw e;
+  };
 
   // Step 1: Detect CAPTCHA
-  log('Detecting CAPTCHA...');
   let detection;
-  if (overrideType && overrideSitekey) {
-    detection = { type: overrideType, sitekey: overrideSitekey, pageUrl: overridePageUrl };
+  if (presetDetection) {
+    detection = presetDetection;
+  } else if (overrideType && overrideSitekey) {
+    detection = {
+      type: overrideType,
+      sitekey: overrideSitekey,
+      pageUrl: overridePageUrl,
+      targetId,
+      widgets: [{ type: overrideType, sitekey: overrideSitekey, action: overrideAction, params: overrideParams, widgetId: overrideWidgetId }],
+    };
   } else {
-    detection = await detectCaptcha(cdpPort);
+    log('Detecting CAPTCHA...');
+    detection = await untilAborted(detectCaptcha(cdp, targetCriteria, { wait: detectWait, providers }), signal).catch(cancelledEarly);
   }
 
-  if (!detection.type || !detection.sitekey) {
+  // Image-text CAPTCHAs are the one kind without a sitekey
+  if (!detection.type || (!detection.sitekey && detection.type !== 'image-text')) {
     throw new Error('No CAPTCHA detected on page. Detection result: ' + JSON.stringify(detection));
   }
 
-  log(`Found ${detection.type} with sitekey ${detection.sitekey.substring(0, 20)}...`);
-
-  // Step 2: Start relay server
-  log('Starting relay server...');
-  const relay = await createRelayServer({
-    type: detection.type,
-    sitekey: detection.sitekey,
-    pageUrl: detection.pageUrl,
-    timeout,
-  });
+  const widgets = selectWidgets(detection, widgetSelector);
+  for (const w of widgets) {
+    // Fail before anything is relayed when no provider handles the type
+    findProvider(w.type, providers);
+    log(`Found ${w.type}${w.widgetId !== null && w.widgetId !== undefined ? ` (widget ${w.widgetId})` : ''}${w.sitekey ? ` with sitekey ${w.sitekey.substring(0, 20)}...` : ''}${detection.targetId ? ` in target ${detection.targetId}` : ''}`);
+  }
+  // A preset detection was already reported by whoever made it (watch mode)
+  if (!presetDetection) emit('detected', { pageUrl: detection.pageUrl, targetId: detection.targetId, widgets });
 
-  log(`Relay server on port ${relay.port}`);
+  // Step 2: Get a relay (server + public URL)
+  const relay = sharedRelay || await startRelay({ port: relayPort, useTunnel, allowedOrigins, logger: opts.logger, signal }).catch(cancelledEarly);
+  const jobs = [];
+  const watchers = new Set();
+  let stopped = false;
 
-  // Step 3: Get public URL
-  let tunnel = null;
-  let url;
-  if (useTunnel) {
-    log('Starting tunnel...');
-    tunnel = await startTunnel(relay.port);
-    url = tunnel.url;
-    log(`Public URL: ${url}`);
-  } else {
-    const tsIp = getTailscaleIp();
-    const ip = tsIp || getLocalIp();
-    url = `http://${ip}:${relay.port}`;
-    log(`${tsIp ? 'Tailscale' : 'Local'} URL: ${url}`);
+  // Cancelling settles the open relay jobs, whose pages then say so, and
+  // stops token watches; whatever is waiting fails with an AbortError
+  let cancelNotified = null;
+  const onAbort = () => {
+    stopped = true;
+    for (const watcher of watchers) watcher.stop();
+    const open = jobs.filter(job => job.state === 'pending');
+    for (const job of open) job.cancel();
+    log('Solve cancelled');
+    emit('cancelled', { pageUrl: detection.pageUrl, targetId: detection.targetId, jobIds: open.map(job => job.id) });
+    cancelNotified = Promise.all(open.map(job => notify({ event: 'cancelled', jobId: job.id })));
+  };
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+    if (signal.aborted) onAbort();
   }
 
-  // Step 4: Output URL for notification (caller sends to Telegram)
-  const result = {
-    type: detection.type,
-    sitekey: detection.sitekey,
-    pageUrl: detection.pageUrl,
-    relayUrl: url,
-    port: relay.port,
-    isLocal: tunnel ? tunnel.isLocal : true,
+  // Result fields that belong to one token; cleared before a widget is re-solved
+  const SOLVE_FIELDS = ['token', 'issuedAt', 'expiresAt', 'deliveries', 'injected', 'injectionMethod', 'verification', 'verified', 'solved'];
+
+  const injectTarget = (widget) => ({
+    type: widget.type,
+    cdpPort: cdp,
+    targetId: detection.targetId,
+    target: targetCriteria,
+    frameId: widget.frameId,
+    widgetId: widget.widgetId,
+    providers,
+  });
+
+  // Provider page hooks (reCAPTCHA's held execute() calls) last as long as
+  // the solve; cleanup takes them out again
+  const hooked = new Set();
+  const pageHook = async (widget, name) => {
+    const hook = findProvider(widget.type, providers)[name];
+    if (!hook) return;
+    const { session, release } = await openSession(cdp, detection.targetId ? { targetId: detection.targetId } : targetCriteria);
+    try {
+      await hook(session, widget);
+    } finally {
+      release();
+    }
   };
 
-  // Output URL immediately so caller can send notification
-  console.log(JSON.stringify({ event: 'ready', ...result }));
+  // Steps 3-5: one relay job for a widget, resolved with its token
+  const relayToken = async (widget, result) => {
+    if (signal && signal.aborted) throw abortError(signal);
+    for (const key of SOLVE_FIELDS) delete result[key];
+    const { validateToken } = findProvider(widget.type, providers);
+    const job = relay.daemon.addJob({
+      type: widget.type,
+      sitekey: widget.sitekey,
+      pageUrl: detection.pageUrl,
+      action: widget.action,
+      params: widget.params,
+      timeout,
+      expiresIn: linkTtl,
+      template: templateFor(widget.type, providers),
+      // Malformed submissions get a 400 and the job stays open. Tokens are
+      // strings unless the provider validates its own result objects
+      accept: ({ token }) => (token && (validateToken ? validateToken(token, widget.type) : typeof token === 'string') ? token : null),
+    });
+    jobs.push(job);
+    const url = relay.url + job.path;
+    log(`Job ${job.id} at ${relay.url}/job/${job.id}`);
 
-  // Step 5: Wait for token
-  log('Waiting for human to solve CAPTCHA...');
-  const token = await relay.waitForToken();
+    Object.assign(result, {
+      relayUrl: url,
+      jobId: job.id,
+      linkExpiresAt: job.expiresAt,
+      port: relay.port,
+      isLocal: relay.isLocal,
+    });
 
-  if (!token) {
-    stopTunnel(tunnel);
-    throw new Error('CAPTCHA solving timed out');
-  }
+    // Output URL immediately so caller can send notification
+    emit('ready', result);
+    await notify({
+      event: 'ready',
+      jobId: job.id,
+      type: widget.type,
+      widgetId: widget.widgetId,
+      pageUrl: detection.pageUrl,
+      relayUrl: url,
+      linkExpiresAt: job.expiresAt,
+    });
+
+    log('Waiting for human to solve CAPTCHA...');
+    const token = await job.waitForToken();
+
+    if (!token) {
+      if (job.state === 'cancelled') throw abortError(signal);
+      // 'closed' means ended from our side, nothing to tell the human
+      if (job.state === 'expired') {
+        emit('timeout', { jobId: job.id, type: widget.type, widgetId: widget.widgetId });
+        await notify({ event: 'timeout', jobId: job.id, widgetId: widget.widgetId });
+      }
+      throw new Error('CAPTCHA solving timed out');
+    }
 
-  log(`Token received (${token.length} chars)`);
+    log(`Token received (${typeof token === 'string' ? `${token.length} chars` : Object.keys(token).join(', ')})`);
+    Object.assign(result, tokenTimes(widget.type, Date.now(), providers));
 
-  // Step 6: Inject token
-  if (inject) {
-    log('Injecting token...');
-    const injectResult = await injectToken({
-      type: detection.type,
+    if (sinks.length) {
+      result.deliveries = await deliverToken(sinks, {
+        jobId: job.id,
+        type: widget.type,
+        sitekey: widget.sitekey,
+        widgetId: widget.widgetId,
+        pageUrl: detection.pageUrl,
+        token,
+        receivedAt: new Date(result.issuedAt).toISOString(),
+        expiresAt: new Date(result.expiresAt).toISOString(),
+      });
+      for (const d of result.deliveries) {
+        log(d.ok ? `Token delivered to ${d.sink}: ${d.detail}` : `Token sink ${d.sink} failed: ${d.error}`);
+      }
+    }
+    emit('token', {
+      jobId: job.id,
+      type: widget.type,
+      widgetId: widget.widgetId,
       token,
-      cdpPort,
+      issuedAt: result.issuedAt,
+      expiresAt: result.expiresAt,
+      deliveries: result.deliveries,
     });
-    log(`Injection result: ${injectResult}`);
-    result.injected = true;
-    result.injectionMethod = injectResult;
+    return token;
+  };
+
+  // Classic image CAPTCHAs have no token: relay the picture (a new one on
+  // request), then type the human's answer into the page's input
+  const solveImageText = async (widget, result) => {
+    const opts = { ...injectTarget(widget), image: widget.image, input: widget.input, refresh: widget.refresh };
+    const deadline = Date.now() + timeout;
+    const { validateToken } = findProvider(widget.type, providers);
+    const accept = ({ answer, refresh }) => {
+      if (refresh === true && widget.refresh) return { refresh: true };
+      return validateToken(answer) ? { answer: answer.trim() } : null;
+    };
+    let job = null;
+    let firstJobId = null;
+    let reply;
+
+    for (let round = 1; ; round++) {
+      if (signal && signal.aborted) throw abortError(signal);
+      const image = await captureImage(opts);
+      const next = relay.daemon.addJob({
+        type: 'image-text',
+        template: templateFor('image-text', providers),
+        timeout: Math.max(0, deadline - Date.now()),
+        expiresIn: linkTtl,
+        followUp: true,
+        vars: {
+          IMAGE: `data:image/png;base64,${image.data}`,
+          REFRESH_CLASS: widget.refresh ? '' : 'hidden',
+        },
+        accept,
+      });
+      jobs.push(next);
+      // A refresh request is still waiting on the previous job; move it on
+      if (job) job.reply({ next: next.path });
+      job = next;
+      firstJobId = firstJobId || job.id;
+
+      const url = relay.url + job.path;
+      log(`Job ${job.id} at ${relay.url}/job/${job.id}`);
+      Object.assign(result, {
+        relayUrl: url,
+        jobId: job.id,
+        linkExpiresAt: job.expiresAt,
+        port: relay.port,
+        isLocal: relay.isLocal,
+      });
+      emit('ready', { round, ...result });
+      if (round === 1) {
+        await notify({ event: 'ready', jobId: job.id, type: widget.type, widgetId: null, pageUrl: detection.pageUrl, relayUrl: url, linkExpiresAt: job.expiresAt });
+      }
+
+      log('Waiting for human to read the CAPTCHA...');
+      reply = await job.waitForToken();
+      if (!reply) {
+        if (job.state === 'cancelled') throw abortError(signal);
+        if (job.state === 'expired') {
+          emit('timeout', { jobId: firstJobId, type: widget.type, widgetId: null });
+          await notify({ event: 'timeout', jobId: firstJobId, widgetId: null });
+        }
+        throw new Error('CAPTCHA solving timed out');
+      }
+      if (!reply.refresh) break;
+      log('Human asked for a new image');
+      await refreshImage(opts);
+    }
+
+    log(`Answer received (${reply.answer.length} chars)`);
+    emit('token', { jobId: firstJobId, type: widget.type, widgetId: null, token: reply.answer });
+    if (inject) {
+      result.injectionMethod = await untilAborted(typeAnswer({ ...opts, answer: reply.answer }), signal);
+      result.injected = result.injectionMethod === 'typed';
+      log(`Injection result: ${result.injectionMethod}`);
+      emit('injected', { jobId: firstJobId, type: widget.type, widgetId: null, injectionMethod: result.injectionMethod, injected: result.injected });
+    }
+    job.reply({});
+
+    result.token = reply.answer;
+    result.solved = true;
+    emit('solved', result);
+    await notify({ event: 'solved', jobId: firstJobId, widgetId: null });
+    return result;
+  };
+
+  const newResult = (widget) => ({
+    type: widget.type,
+    sitekey: widget.sitekey,
+    pageUrl: detection.pageUrl,
+    targetId: detection.targetId,
+    frameId: widget.frameId,
+    frameUrl: widget.frameUrl,
+    widgetId: widget.widgetId,
+    action: widget.action,
+    params: widget.params,
+    container: widget.container,
+  });
+
+  const solveWidget = async (widget, result = newResult(widget)) => {
+    if (widget.type === 'image-text') return solveImageText(widget, result);
+    const injectOpts = injectTarget(widget);
+    const relayAttempts = inject && verify && retry === 'relay' ? 1 + retries : 1;
+    // Re-solves after an expiry keep the hook from the first solve
+    if (inject && !hooked.has(widget)) {
+      hooked.add(widget);
+      await pageHook(widget, 'hookPage');
+    }
+
+    let token;
+    for (let attempt = 1; attempt <= relayAttempts; attempt++) {
+      token = await relayToken(widget, result);
+
+      // Step 6: Inject token
+      if (!inject) break;
+      log('Injecting token...');
+      if (!verify) {
+        result.injectionMethod = await untilAborted(injectToken({ ...injectOpts, token }), signal);
+        result.injected = result.injectionMethod !== 'widget-not-found';
+        log(`Injection result: ${result.injectionMethod}`);
+        emit('injected', { jobId: result.jobId, type: widget.type, widgetId: widget.widgetId, injectionMethod: result.injectionMethod, injected: result.injected });
+        break;
+      }
+
+      // Step 7: Verify the page accepted it
+      const verification = await untilAborted(injectAndVerify({
+        ...injectOpts,
+        token,
+        successSelector,
+        waitForNavigation,
+        verifyTimeout,
+        retry: retry === 'callback' ? 'callback' : 'none',
+        retries,
+      }), signal);
+      result.injectionMethod = verification.details.injectionMethod;
+      result.injected = result.injectionMethod !== 'widget-not-found';
+      result.verification = verification;
+      result.verified = verification.verified;
+      log(`Injection result: ${result.injectionMethod}, verified: ${verification.verified} (${verification.method})`);
+      emit('injected', { jobId: result.jobId, type: widget.type, widgetId: widget.widgetId, injectionMethod: result.injectionMethod, injected: result.injected });
+      emit('verified', { jobId: result.jobId, type: widget.type, widgetId: widget.widgetId, verified: result.verified, verification });
+
+      if (verification.verified || attempt === relayAttempts) break;
+      log(`Verification failed, re-opening relay (attempt ${attempt + 1}/${relayAttempts})`);
+      emit('retry', { jobId: result.jobId, widgetId: widget.widgetId, verification });
+      await notify({ event: 'retry', jobId: result.jobId, widgetId: widget.widgetId });
+    }
+
+    result.token = token;
+    result.solved = true;
+
+    emit('solved', result);
+    await notify({ event: 'solved', jobId: result.jobId, widgetId: widget.widgetId, verified: result.verified });
+    return result;
+  };
+
+  // Step 8: Watch the injected token; when it lapses before the page uses
+  // it, open a new relay job (notifying the human again) and inject afresh
+  const watchWidget = async (widget, result) => {
+    let reason;
+    let error;
+    try {
+      for (let resolves = 0; ; resolves++) {
+        const watcher = watchToken({
+          ...injectTarget(widget),
+          token: result.token,
+          expiredCallback: widget.expiredCallback,
+          expiresAt: result.expiresAt,
+        });
+        watchers.add(watcher);
+        try {
+          reason = await watcher.done;
+        } finally {
+          watchers.delete(watcher);
+        }
+        if (reason !== 'expired') break;
+
+        log(`Token for job ${result.jobId} expired before use`);
+        emit('expired', {
+          jobId: result.jobId,
+          widgetId: widget.widgetId,
+          type: widget.type,
+          issuedAt: result.issuedAt,
+          expiresAt: result.expiresAt,
+        });
+        await notify({ event: 'expired', jobId: result.jobId, widgetId: widget.widgetId, resolving: resolves < maxResolves });
+        if (resolves >= maxResolves) {
+          reason = 'max-resolves';
+          break;
+        }
+        await solveWidget(widget, result);
+      }
+    } catch (e) {
+      reason = stopped ? 'stopped' : 'error';
+      error = stopped ? undefined : e.message;
+    }
+    if (reason === 'stopped' && signal && signal.aborted) reason = 'cancelled';
+    log(`Stopped watching job ${result.jobId}: ${reason}`);
+    emit('watch-ended', { jobId: result.jobId, widgetId: widget.widgetId, reason, error });
+    return reason;
+  };
+
+  // Cleanup: settle leftover jobs and restore hooked pages; a shared relay
+  // stays up for the next solve
+  const cleanup = async () => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    for (const job of jobs) job.close();
+    if (!sharedRelay) relay.close();
+    await Promise.all([...hooked].map(w => pageHook(w, 'unhookPage').catch(() => {})));
+  };
+
+  let watching = null;
+  try {
+    const results = await Promise.all(widgets.map(w => solveWidget(w)));
+    const out = widgetSelector !== 'all' ? results[0] : {
+      pageUrl: detection.pageUrl,
+      targetId: detection.targetId,
+      relayUrls: results.map(r => r.relayUrl),
+      widgets: results,
+      solved: true,
+    };
+
+    if (watchExpiry && inject) {
+      // Results are updated in place on every re-solve; the relay stays up
+      // until all watches end
+      watching = Promise.all(widgets.map((w, i) => (w.type === 'image-text' ? 'no-token' : results[i].injected ? watchWidget(w, results[i]) : 'not-injected')))
+        .finally(cleanup);
+      Object.defineProperties(out, {
+        watching: { value: watching },
+        stopWatching: {
+          value: () => {
+            stopped = true;
+            for (const watcher of watchers) watcher.stop();
+            for (const job of jobs) job.close();
+          },
+        },
+      });
+    }
+    return out;
+  } catch (e) {
+    if (!(signal && signal.aborted)) throw e;
+    // Whatever failed first, the solve was cancelled; the notifiers hear of
+    // it before the call settles
+    await cancelNotified;
+    throw abortError(signal);
+  } finally {
+    if (!watching) await cleanup();
   }
+}
 
-  result.token = token;
-  result.solved = true;
+/**
+ * Inject a token you already have (from a sink, an earlier solve, another
+ * service) and verify it like solveCaptcha does. Without `type` the page is
+ * scanned first and `widget` picks among what is found; for 'image-text'
+ * widgets the token is the answer text and gets typed.
+ */
+async function injectCaptchaToken(opts = {}) {
+  const {
+    token,
+    targetId,
+    urlMatch,
+    titleMatch,
+    widget: widgetSelector,
+    // Skip detection: inject into this widget type (widgetId/frame optional)
+    type,
+    widgetId = null,
+    verify = true,
+    successSelector,
+    waitForNavigation = false,
+    verifyTimeout = 10000,
+    providers,
+    signal,
+  } = opts;
+  const { emit, log } = createReporter(opts);
+  const cdp = endpointOf(opts);
+  if (!token) throw new Error('No token to inject');
+  if (signal && signal.aborted) throw abortError(signal);
+  const targetCriteria = { targetId, urlMatch, titleMatch };
 
-  // Cleanup
-  stopTunnel(tunnel);
+  const detection = type
+    ? { type, targetId, widgets: [{ type, widgetId }] }
+    : await untilAborted(detectCaptcha(cdp, targetCriteria, { providers }), signal);
+  if (!detection.type) throw new Error('No CAPTCHA detected on page to inject into');
+  const [widget] = selectWidgets(detection, widgetSelector === 'all' ? undefined : widgetSelector);
+  const target = {
+    type: widget.type,
+    cdpPort: cdp,
+    targetId: detection.targetId,
+    target: targetCriteria,
+    frameId: widget.frameId,
+    widgetId: widget.widgetId,
+    providers,
+  };
+  const result = { type: widget.type, targetId: detection.targetId, widgetId: widget.widgetId };
 
-  console.log(JSON.stringify({ event: 'solved', ...result }));
+  log(`Injecting token into ${widget.type}...`);
+  if (widget.type === 'image-text') {
+    result.injectionMethod = await untilAborted(typeAnswer({ ...target, input: widget.input, answer: token }), signal);
+    result.injected = result.injectionMethod === 'typed';
+  } else if (!verify) {
+    result.injectionMethod = await untilAborted(injectToken({ ...target, token }), signal);
+    result.injected = result.injectionMethod !== 'widget-not-found';
+  } else {
+    const verification = await untilAborted(injectAndVerify({ ...target, token, successSelector, waitForNavigation, verifyTimeout }), signal);
+    result.injectionMethod = verification.details.injectionMethod;
+    result.injected = result.injectionMethod !== 'widget-not-found';
+    result.verification = verification;
+    result.verified = verification.verified;
+  }
+  log(`Injection result: ${result.injectionMethod}${result.verification ? `, verified: ${result.verified}` : ''}`);
+  emit('injected', result);
+  if (result.verification) emit('verified', { type: result.type, widgetId: result.widgetId, verified: result.verified, verification: result.verification });
   return result;
 }
 
 /**
- * Screenshot-based fallback for when token relay can't work
+ * Screenshot-based fallback for when token relay can't work.
+ *
+ * The annotated grid is served through the relay as a tap-to-select page;
+ * the human's selection comes back as cell numbers and is clicked into the
+ * challenge. The challenge is then re-read: new rounds, replaced tiles and
+ * "please try again" errors are recaptured and sent back to the same page,
+ * until a token shows up in g-recaptcha-response. With `interactive: false`
+ * it only captures the image and prints it for the caller to relay.
  */
 async function solveCaptchaScreenshot(opts = {}) {
-  const { cdpPort = 18800 } = opts;
-  const log = (msg) => process.stderr.write(`[captcha-relay] ${msg}\n`);
+  const {
+    targetId,
+    urlMatch,
+    titleMatch,
+    interactive = true,
+    timeout = 120000,
+    useTunnel = true,
+    relayPort = 0,
+    allowedOrigins,
+    linkTtl,
+    notify: notifySpecs,
+    relay: sharedRelay,
+    // Give up after this many submissions
+    maxRounds = 10,
+    // How long to wait for the challenge to react to a submission
+    roundTimeout = 10000,
+    signal,
+  } = opts;
+  const { emit, log } = createReporter(opts);
+  const cdp = endpointOf(opts);
+  if (signal && signal.aborted) throw abortError(signal);
 
   log('Using screenshot fallback...');
-  const capture = await captureAndAnnotate(cdpPort);
+  // Only the non-interactive mode hands the image over as a file
+  const capture = await untilAborted(captureAndAnnotate(cdp, { targetId, urlMatch, titleMatch }, { save: !interactive }), signal);
 
-  console.log(JSON.stringify({
-    event: 'screenshot-ready',
-    imagePath: capture.imagePath,
+  const info = {
     prompt: capture.prompt,
     rows: capture.rows,
     cols: capture.cols,
     totalCells: capture.totalCells,
-  }));
+    targetId: capture.targetId,
+  };
+
+  if (!interactive) {
+    emit('screenshot-ready', { imagePath: capture.imagePath, ...info });
+    return capture;
+  }
+
+  const notify = createNotify(notifySpecs, { emit, log });
+  const relay = sharedRelay || await startRelay({ port: relayPort, useTunnel, allowedOrigins, logger: opts.logger, signal });
+  const deadline = Date.now() + timeout;
+  const history = [];
+  const result = { ...info, rounds: 0, history };
+  let job = null;
+  let firstJobId = null;
+  let current = capture;
+  let state = 'timeout';
+
+  // Cancelling ends the current round's job, and answers a selection still
+  // waiting for the next round; the page says so
+  let cancelNotified = null;
+  const onAbort = () => {
+    const open = job && job.state === 'pending' ? [job] : [];
+    if (job) job.cancel();
+    log('Solve cancelled');
+    emit('cancelled', { mode: 'screenshot', jobIds: open.map(j => j.id) });
+    cancelNotified = firstJobId ? notify({ event: 'cancelled', jobId: firstJobId, widgetId: null }) : null;
+  };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  // 1-based cell numbers; an empty selection is valid (nothing matches)
+  const acceptCells = (total) => ({ cells }) => (
+    Array.isArray(cells) && cells.every(c => Number.isInteger(c) && c >= 1 && c <= total)
+      ? [...new Set(cells)]
+      : null
+  );
+
+  try {
+    for (let round = 1; ; round++) {
+      if (signal && signal.aborted) throw abortError(signal);
+      const next = relay.daemon.addJob({
+        type: 'screenshot-grid',
+        timeout: Math.max(0, deadline - Date.now()),
+        expiresIn: linkTtl,
+        followUp: true,
+        vars: {
+          IMAGE: `data:image/png;base64,${current.imageBuffer.toString('base64')}`,
+          PROMPT: current.prompt,
+          NOTICE: current.notice || (current.dynamic ? 'New images appear as you go. When none match any more, press Verify with nothing selected.' : ''),
+          ROWS: current.rows,
+          COLS: current.cols,
+        },
+        accept: acceptCells(current.totalCells),
+      });
+      // The human's page is still waiting on the previous round's answer;
+      // send it on to this one
+      if (job) job.reply({ next: next.path });
+      job = next;
+      firstJobId = firstJobId || job.id;
+
+      const relayUrl = relay.url + job.path;
+      log(`Round ${round}: job ${job.id} at ${relay.url}/job/${job.id}`);
+      Object.assign(result, {
+        prompt: current.prompt,
+        rows: current.rows,
+        cols: current.cols,
+        totalCells: current.totalCells,
+        relayUrl,
+        jobId: job.id,
+        linkExpiresAt: job.expiresAt,
+        port: relay.port,
+        isLocal: relay.isLocal,
+      });
+
+      emit('ready', { mode: 'screenshot', round, ...result, history: undefined });
+      if (round === 1) {
+        await notify({ event: 'ready', jobId: job.id, type: 'screenshot-grid', widgetId: null, pageUrl: capture.pageUrl, relayUrl, linkExpiresAt: job.expiresAt });
+      }
+
+      log('Waiting for human to select cells...');
+      const cells = await job.waitForToken();
+      if (!cells) {
+        if (job.state === 'cancelled') throw abortError(signal);
+        if (job.state === 'expired') {
+          emit('timeout', { mode: 'screenshot', jobId: firstJobId, widgetId: null });
+          await notify({ event: 'timeout', jobId: firstJobId, widgetId: null });
+        }
+        throw new Error('CAPTCHA solving timed out');
+      }
+      log(`Selection received: ${cells.join(',') || '(none)'}`);
+
+      // Dynamic rounds replace clicked tiles; Verify only once nothing matches
+      const pressVerify = !current.dynamic || cells.length === 0;
+      const before = await getChallengeState(cdp, capture.targetId);
+      result.cells = cells;
+      result.clickResult = await injectGridClicks(cells, cdp, capture.targetId, { verify: pressVerify });
+      const update = await untilAborted(waitForChallengeUpdate(cdp, capture.targetId, before, { timeout: roundTimeout }), signal);
+      result.rounds = round;
+      const error = update.outcome === 'solved' ? null : update.state.error;
+      history.push({ round, cells, verified: pressVerify, outcome: update.outcome, error });
+      log(`Round ${round}: ${update.outcome}${error ? ` (${error})` : ''}`);
+      emit('round', { mode: 'screenshot', round, cells, outcome: update.outcome, error });
+
+      if (update.outcome === 'solved') {
+        result.token = update.state.token;
+        emit('token', { mode: 'screenshot', jobId: firstJobId, widgetId: null, token: result.token });
+        state = 'solved';
+        break;
+      }
+      if (update.outcome === 'closed' || round >= maxRounds) {
+        state = update.outcome === 'closed' ? 'closed' : 'max-rounds';
+        break;
+      }
+      current = await untilAborted(captureAndAnnotate(cdp, capture.targetId), signal);
+    }
+
+    result.state = state;
+    result.solved = state === 'solved';
+    job.reply(result.solved ? { solved: true } : { solved: false, message: `The challenge ended without a token (${state}).` });
+
+    if (result.solved) {
+      log(`Solved after ${result.rounds} round(s)`);
+      emit('solved', { mode: 'screenshot', ...result });
+      await notify({ event: 'solved', jobId: firstJobId, widgetId: null });
+    } else {
+      log(`Gave up after ${result.rounds} round(s): ${state}`);
+      emit('failed', { mode: 'screenshot', ...result });
+      await notify({ event: 'failed', jobId: firstJobId, widgetId: null });
+    }
+    return result;
+  } catch (e) {
+    if (!(signal && signal.aborted)) throw e;
+    await cancelNotified;
+    throw abortError(signal);
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    if (job) job.close();
+    if (!sharedRelay) relay.close();
+  }
+}
+
+/**
+ * Remote-control fallback: stream the browser to the human and replay their
+ * taps, drags and keys as trusted input. For challenges no token relay or grid
+ * fits (sliders, puzzles, rotate-the-image). Finishes when a response token or
+ * `successSelector` shows up on the page, or when the human presses Done.
+ */
+async function solveCaptchaRemote(opts = {}) {
+  const {
+    targetId,
+    urlMatch,
+    titleMatch,
+    timeout = 120000,
+    useTunnel = true,
+    relayPort = 0,
+    allowedOrigins,
+    linkTtl,
+    notify: notifySpecs,
+    relay: sharedRelay,
+    // 'auto' (the CAPTCHA element if one is found), a CSS selector, or 'viewport'
+    region = 'auto',
+    successSelector,
+    // Replay touches as 'mouse' events (default) or as 'touch' events
+    touch = 'mouse',
+    signal,
+  } = opts;
+  const { emit, log } = createReporter(opts);
+  const cdp = endpointOf(opts);
+  if (signal && signal.aborted) throw abortError(signal);
+
+  log('Using remote-control fallback...');
+  const remote = await startRemoteControl({
+    cdpPort: cdp, target: { targetId, urlMatch, titleMatch }, region, successSelector, touch,
+  });
+
+  const notify = createNotify(notifySpecs, { emit, log });
+  let relay = null;
+  let job = null;
+  // Cancelling settles the job, which ends the wait below
+  const onAbort = () => job && job.cancel();
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    relay = sharedRelay || await startRelay({ port: relayPort, useTunnel, allowedOrigins, logger: opts.logger, signal });
+    if (signal && signal.aborted) throw abortError(signal);
+    job = relay.daemon.addJob({
+      type: 'remote-control',
+      timeout,
+      expiresIn: linkTtl,
+      accept: ({ done }) => (done === true ? true : null),
+      routes: remote.routes,
+    });
+
+    const relayUrl = relay.url + job.path;
+    const result = {
+      mode: 'remote',
+      targetId: remote.targetId,
+      region,
+      relayUrl,
+      jobId: job.id,
+      linkExpiresAt: job.expiresAt,
+      port: relay.port,
+      isLocal: relay.isLocal,
+    };
+    log(`Job ${job.id} at ${relay.url}/job/${job.id}`);
+    emit('ready', result);
+    await notify({ event: 'ready', jobId: job.id, type: 'remote-control', widgetId: null, pageUrl: remote.pageUrl, relayUrl, linkExpiresAt: job.expiresAt });
+
+    log('Waiting for human to solve in the live view...');
+    const outcome = await Promise.race([
+      remote.done,
+      job.waitForToken().then(done => ({ reason: done ? 'human-done' : job.state })),
+    ]);
+    if (outcome.reason === 'expired') {
+      emit('timeout', { mode: 'remote', jobId: job.id, widgetId: null });
+      await notify({ event: 'timeout', jobId: job.id, widgetId: null });
+      throw new Error('CAPTCHA solving timed out');
+    }
+    if (outcome.reason === 'cancelled') {
+      log('Solve cancelled');
+      emit('cancelled', { mode: 'remote', jobIds: [job.id] });
+      await notify({ event: 'cancelled', jobId: job.id, widgetId: null });
+      throw abortError(signal);
+    }
+    if (outcome.reason === 'closed') throw new Error('Remote-control session closed');
+
+    Object.assign(result, { state: outcome.reason, solved: true });
+    if (outcome.token) {
+      result.token = outcome.token;
+      emit('token', { mode: 'remote', jobId: job.id, widgetId: null, token: outcome.token });
+    }
+    log(`Solved (${outcome.reason})`);
+    emit('solved', result);
+    await notify({ event: 'solved', jobId: job.id, widgetId: null });
+    return result;
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    // Ends the human's stream first, so the relay can shut down
+    await remote.stop();
+    if (job) job.close();
+    if (relay && !sharedRelay) relay.close();
+  }
+}
+
+/**
+ * Start a solve as a job instead of awaiting it: an EventEmitter of the
+ * solve's events that is also async-iterable, with `result` settling like
+ * solveCaptcha() (see createJob in lib/events.js).
+ *
+ *   const job = startSolve({ cdpPort: 18800 });
+ *   job.on('ready', e => sendLink(e.relayUrl));
+ *   const result = await job.result;
+ *
+ * `job.cancel()` aborts it like `signal` does: `result` rejects with an
+ * AbortError after a `cancelled` event.
+ *
+ * @param {object} opts - solveCaptcha options plus `mode`: 'token'
+ *   (default), 'screenshot' or 'remote' for the fallbacks
+ */
+function startSolve(opts = {}) {
+  const run = { token: solveCaptcha, screenshot: solveCaptchaScreenshot, remote: solveCaptchaRemote }[opts.mode || 'token'];
+  if (!run) throw new Error(`Unknown solve mode: ${opts.mode}`);
+  return createJob(run, opts);
+}
+
+/**
+ * Watch mode: stay attached to every tab and solve CAPTCHAs as they appear.
+ *
+ * Navigations, load events and CAPTCHA-looking DOM mutations trigger a
+ * detection scan of that tab; each widget found starts the usual
+ * solveCaptcha flow (relay, notifiers, injection) through one shared relay.
+ * A widget is handled once per page load: while it's being solved, or after,
+ * further scans skip it until the tab navigates (one still being solved
+ * stays claimed across navigations).
+ *
+ * @param {object} opts - solveCaptcha options (relay, notify, sinks, inject,
+ *   verify, timeout, ...) plus `debounce` (ms to batch triggers, default 500)
+ * @returns {{ stop: Function, done: Promise<string> }} done resolves with
+ *   'stopped' or 'browser-closed'
+ */
+async function watchCaptchas(opts = {}) {
+  const {
+    useTunnel = true,
+    relayPort = 0,
+    allowedOrigins,
+    relay: sharedRelay,
+    debounce = 500,
+    providers,
+    signal,
+  } = opts;
+  const { emit, log } = createReporter(opts);
+  const cdp = endpointOf(opts);
+  if (signal && signal.aborted) throw abortError(signal);
+
+  const relay = sharedRelay || await startRelay({ port: relayPort, useTunnel, allowedOrigins, logger: opts.logger, signal });
+  // targetId → Map(widget key → 'solving' | 'done')
+  const handled = new Map();
+  const scanning = new Set();
+  const rescan = new Set();
+  let watcher;
+  let finish;
+  const done = new Promise(r => { finish = r; });
+
+  const widgetKey = (w) => [w.frameUrl, w.type, w.sitekey, w.widgetId !== null ? w.widgetId : w.container].join('|');
+
+  const scan = async (targetId, reason) => {
+    if (scanning.has(targetId)) {
+      rescan.add(targetId);
+      return;
+    }
+    scanning.add(targetId);
+    try {
+      const detection = await detectCaptcha(cdp, targetId, { providers });
+      if (!handled.has(targetId)) handled.set(targetId, new Map());
+      const seen = handled.get(targetId);
+      for (const w of detection.widgets) {
+        const key = widgetKey(w);
+        if (seen.has(key)) continue;
+        seen.set(key, 'solving');
+
+        log(`Detected ${w.type} in target ${targetId} (${reason})`);
+        emit('detected', { targetId, pageUrl: detection.pageUrl, type: w.type, sitekey: w.sitekey, widgetId: w.widgetId, trigger: reason });
+        solveCaptcha({ ...opts, relay, targetId, detection: { ...detection, ...w, widgets: [w] } })
+          .catch(e => {
+            // The solve shares the watch's signal and reports that itself
+            if (e.name === 'AbortError') return;
+            log(`Solving ${w.type} in target ${targetId} failed: ${e.message}`);
+            emit('watch-error', { targetId, type: w.type, widgetId: w.widgetId, error: e.message });
+          })
+          .finally(() => {
+            if (seen.get(key) === 'solving') seen.set(key, 'done');
+          });
+      }
+    } catch (e) {
+      // The tab closed or navigated mid-scan; the next trigger scans again
+      log(`Scan of target ${targetId} failed: ${e.message}`);
+    } finally {
+      scanning.delete(targetId);
+      if (rescan.delete(targetId)) scan(targetId, 'rescan');
+    }
+  };
+
+  const onEvent = (e) => {
+    if (e.type === 'attached' || e.type === 'detached') {
+      emit(`target-${e.type}`, { targetId: e.targetId, url: e.url });
+      if (e.type === 'detached') handled.delete(e.targetId);
+    } else if (e.type === 'navigated') {
+      const seen = handled.get(e.targetId);
+      if (seen) for (const [key, state] of seen) if (state === 'done') seen.delete(key);
+    } else if (e.type === 'scan') {
+      scan(e.targetId, e.reason);
+    } else if (e.type === 'closed') {
+      stop('browser-closed');
+    }
+  };
+
+  let ended = false;
+  const stop = (reason = 'stopped') => {
+    if (ended) return;
+    ended = true;
+    if (signal) signal.removeEventListener('abort', onAbort);
+    if (watcher) watcher.stop();
+    if (!sharedRelay) relay.close();
+    log(`Watch ended: ${reason}`);
+    emit('watch-stopped', { reason });
+    finish(reason);
+  };
+
+  // Solves in progress get the same signal and cancel their own jobs (their
+  // listeners run after this one), so the relay closes once they have
+  const onAbort = () => queueMicrotask(() => stop('cancelled'));
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  log('Watching for CAPTCHAs...');
+  try {
+    watcher = await watchTargets({ cdpPort: cdp, debounce, onEvent, providers });
+  } catch (e) {
+    stop('error');
+    throw e;
+  }
+  emit('watching', { targets: watcher.targets.size, port: relay.port, isLocal: relay.isLocal });
+  return { stop: () => stop(), done };
+}
+
+/**
+ * Serve a 2captcha / anti-captcha compatible API on the relay (see
+ * lib/solverapi.js): existing scrapers point their solver client at the relay
+ * URL, and every task they submit becomes a relay job for a human, with the
+ * usual notifications and sinks.
+ *
+ * @param {object} opts - solveCaptcha options (relay, notify, sinks, timeout,
+ *   linkTtl, ...) plus `apiKeys` (accepted client keys) and `maxTasks`
+ * @returns {{ url: string, relay: object, stop: Function }}
+ */
+async function startSolverApi(opts = {}) {
+  const {
+    useTunnel = true,
+    relayPort = 0,
+    allowedOrigins,
+    relay: sharedRelay,
+    apiKeys,
+    maxTasks,
+    signal,
+  } = opts;
+  const { emit, log } = createReporter(opts);
+  // Checked before anything starts listening
+  if (!Array.isArray(apiKeys) || !apiKeys.length) throw new Error('startSolverApi needs apiKeys: at least one client API key');
+  if (signal && signal.aborted) throw abortError(signal);
+
+  const relay = sharedRelay || await startRelay({ port: relayPort, useTunnel, allowedOrigins, logger: opts.logger, signal: opts.signal });
+  let api;
+  try {
+    api = mountSolverApi(relay.daemon, {
+      keys: apiKeys,
+      maxTasks,
+      // No browser behind a task: relay only, the client submits the token
+      solve: (job) => solveCaptcha({ ...opts, ...job, relay, inject: false, verify: false, watchExpiry: false, detection: undefined, widget: undefined })
+        .then(result => result.token),
+      onTask: ({ id, event, type, error }) => {
+        log(`API task ${id} (${type}) ${event}${error ? `: ${error}` : ''}`);
+        emit(`api-task-${event}`, { taskId: id, type, error });
+      },
+    });
+  } catch (e) {
+    if (!sharedRelay) relay.close();
+    throw e;
+  }
+
+  // Deferred a microtask: tasks in progress share the signal, and their own
+  // abort listeners cancel their relay jobs before the daemon closes
+  let stopped = false;
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    if (signal) signal.removeEventListener('abort', onAbort);
+    api.close();
+    if (!sharedRelay) relay.close();
+    log('Solver API stopped');
+    emit('api-stopped', {});
+  };
+  const onAbort = () => queueMicrotask(stop);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
-  return capture;
+  log(`Solver API at ${relay.url} (${apiKeys.length} key${apiKeys.length === 1 ? '' : 's'})`);
+  emit('api-ready', { url: relay.url, port: relay.port, isLocal: relay.isLocal });
+  return { url: relay.url, relay, stop };
 }
 
+// How long a cancelled CLI command may take to tell the human and clean up
+const CLI_EXIT_GRACE = 15 * 1000;
+
 // CLI mode
 if (require.main === module) {
   const args = process.argv.slice(2);
@@ -147,26 +1164,224 @@ if (require.main === module) {
     const i = args.indexOf(name);
     return i >= 0 ? args[i + 1] : def;
   };
+  const getArgs = (name) => args.flatMap((a, i) => (a === name && args[i + 1] ? [args[i + 1]] : []));
   const hasFlag = (name) => args.includes(name);
+  // 'Name: value' pairs, e.g. --cdp-header 'Authorization: Bearer ...'
+  const parseHeaders = (lines) => Object.fromEntries(lines.map(l => {
+    const i = l.indexOf(':');
+    return i > 0 ? [l.slice(0, i).trim(), l.slice(i + 1).trim()] : [l.trim(), ''];
+  }));
 
   const opts = {
     cdpPort: parseInt(getArg('--cdp-port', '18800')),
+    cdpEndpoint: getArg('--cdp-url'),
+    cdpHeaders: getArgs('--cdp-header').length ? parseHeaders(getArgs('--cdp-header')) : undefined,
     timeout: parseInt(getArg('--timeout', '120')) * 1000,
+    relayPort: parseInt(getArg('--port', '0')),
+    linkTtl: getArg('--link-ttl') ? parseInt(getArg('--link-ttl')) * 1000 : undefined,
+    allowedOrigins: getArg('--allow-origin') ? getArg('--allow-origin').split(',') : undefined,
+    sinks: getArgs('--sink').length ? getArgs('--sink') : undefined,
+    notify: getArgs('--notify'),
+    targetId: getArg('--target'),
+    urlMatch: getArg('--url-match'),
+    titleMatch: getArg('--title-match'),
+    detectWait: parseInt(getArg('--detect-wait', '0')) * 1000,
+    widget: getArg('--widget'),
+    type: getArg('--type'),
+    sitekey: getArg('--sitekey'),
+    pageUrl: getArg('--page-url'),
+    action: getArg('--action'),
+    // Render parameters, e.g. --param challenge=<GeeTest v3 challenge>
+    params: getArgs('--param').length ? Object.fromEntries(getArgs('--param').map(p => {
+      const i = p.indexOf('=');
+      return i > 0 ? [p.slice(0, i), p.slice(i + 1)] : [p, ''];
+    })) : undefined,
+    // --token and --provider are parsed by parseInputs() below
+    token: getArg('--token'),
     inject: !hasFlag('--no-inject'),
+    interactive: !hasFlag('--no-interactive'),
+    maxRounds: parseInt(getArg('--max-rounds', '10')),
+    region: getArg('--region', 'auto'),
+    verify: !hasFlag('--no-verify'),
+    successSelector: getArg('--verify-selector'),
+    waitForNavigation: hasFlag('--verify-navigation'),
+    verifyTimeout: parseInt(getArg('--verify-timeout', '10')) * 1000,
+    retry: getArg('--retry', 'none'),
+    retries: parseInt(getArg('--retries', '1')),
+    watchExpiry: hasFlag('--watch-expiry'),
+    maxResolves: parseInt(getArg('--max-resolves', '3')),
     useTunnel: !hasFlag('--no-tunnel'),
+    // Solver API client keys; the environment keeps them out of `ps`
+    apiKeys: getArgs('--api-key').length ? getArgs('--api-key') : (process.env.CAPTCHA_RELAY_API_KEY || '').split(',').filter(Boolean),
+    maxTasks: parseInt(getArg('--max-tasks', '20')),
+    // The CLI is a thin layer: events become JSON lines on stdout, log
+    // lines go to stderr
+    onEvent: (e) => console.log(JSON.stringify(e)),
+    logger: stderrLogger,
+  };
+  const target = { targetId: opts.targetId, urlMatch: opts.urlMatch, titleMatch: opts.titleMatch };
+  const print = (event, data) => opts.onEvent({ event, ...data });
+  // Arguments between the command and the first option (cell numbers for click)
+  const positional = () => {
+    const end = args.findIndex((a, i) => i > 0 && a.startsWith('-'));
+    return args.slice(1, end < 0 ? args.length : end);
   };
 
-  if (hasFlag('--screenshot')) {
-    solveCaptchaScreenshot(opts).catch(e => {
-      console.error(JSON.stringify({ event: 'error', error: e.message }));
-      process.exit(1);
+  const COMMANDS = {
+    solve: {
+      usage: 'solve [--screenshot | --remote] [options]',
+      summary: 'Detect, relay to a human, inject the token (default command)',
+      run: () => (hasFlag('--remote') ? solveCaptchaRemote(opts) : hasFlag('--screenshot') ? solveCaptchaScreenshot(opts) : solveCaptcha(opts)),
+    },
+    watch: {
+      usage: 'watch [options]',
+      summary: 'Stay attached; solve CAPTCHAs as they appear in any tab',
+      run: () => watchCaptchas(opts),
+    },
+    detect: {
+      usage: 'detect [--detect-wait N] [target options]',
+      summary: 'Print the detection result as JSON',
+      run: async () => print('detected', await detectCaptcha(endpointOf(opts), target, { wait: opts.detectWait, providers: opts.providers })),
+    },
+    serve: {
+      usage: 'serve --type T --sitekey K [--page-url URL] [--action A] [--param K=V]',
+      summary: 'Run the relay for a known widget without a browser; print the token',
+      run: () => {
+        if (!opts.type || !opts.sitekey) throw new Error('serve needs --type and --sitekey');
+        return solveCaptcha({ ...opts, inject: false });
+      },
+    },
+    api: {
+      usage: 'api --api-key KEY [--max-tasks N]',
+      summary: 'Serve a 2captcha / anti-captcha compatible API; tasks become relay jobs',
+      run: () => {
+        if (!opts.apiKeys.length) throw new Error('api needs --api-key or CAPTCHA_RELAY_API_KEY');
+        return startSolverApi(opts);
+      },
+    },
+    inject: {
+      usage: 'inject --token TOKEN [--type T] [--widget ID] [target options]',
+      summary: 'Inject a token you already have into the page and verify it',
+      run: () => injectCaptchaToken(opts),
+    },
+    screenshot: {
+      usage: 'screenshot [target options]',
+      summary: 'Capture and number the image grid; print the image path',
+      run: () => solveCaptchaScreenshot({ ...opts, interactive: false }),
+    },
+    click: {
+      usage: 'click CELL... [--no-submit] [target options]',
+      summary: 'Click grid cells (1-based, as numbered by screenshot), then Verify',
+      run: async () => {
+        const cells = positional().map(Number);
+        if (!cells.length || !cells.every(c => Number.isInteger(c) && c >= 1)) throw new Error('click needs 1-based cell numbers, e.g. click 1 4 7');
+        // Throws when no challenge is open
+        const result = await injectGridClicks(cells, endpointOf(opts), target, { verify: !hasFlag('--no-submit') });
+        print('clicked', { cells, result });
+      },
+    },
+  };
+
+  const HELP = `Usage: node index.js [command] [options]
+
+Commands:
+${Object.values(COMMANDS).map(c => `  ${c.usage}\n      ${c.summary}`).join('\n')}
+
+Browser and target options (all commands but serve):
+  --cdp-port N            DevTools port on this machine (default 18800)
+  --cdp-url URL           DevTools endpoint on any host: http(s)://host:port or a ws(s):// browser URL
+  --cdp-header 'K: V'     Header for every DevTools request (repeatable)
+  --target ID             Page target id
+  --url-match RE          Page whose URL matches
+  --title-match RE        Page whose title matches
+  --timeout N             Overall timeout in seconds (default 120)
+  --provider FILE         Load an extra CAPTCHA provider module (repeatable)
+
+Relay (solve, watch, serve, api):
+  --port N                Relay server port (default: random)
+  --no-tunnel             Use the Tailscale/LAN address instead of a tunnel
+  --link-ttl N            Relay link lifetime in seconds
+  --allow-origin A,B      Origins allowed to submit tokens
+  --notify SPEC           Send the link: telegram:<chatId>, webhook:<url>, ntfy:<url>, gotify:<url>
+  --sink SPEC             Token sink: file[:dir], socket:<path>, pipe:<path>, webhook:<url>, stdout, none
+
+Solver API (api):
+  --api-key KEY           Accepted client key (repeatable; or CAPTCHA_RELAY_API_KEY=K1,K2)
+  --max-tasks N           Tasks in progress before ERROR_NO_SLOT_AVAILABLE (default 20)
+
+Solving (solve, watch, inject):
+  --detect-wait N         Re-scan up to N seconds for late widgets
+  --widget ID             Widget id to solve, or all
+  --no-inject             Return the token without injecting it
+  --no-verify             Skip the post-injection check
+  --verify-selector SEL   Selector that signals the page accepted the token
+  --verify-navigation     Count a navigation as success
+  --verify-timeout N      Seconds to wait for selector / navigation (default 10)
+  --retry MODE            On failed verification: callback or relay
+  --retries N             Extra attempts for --retry (default 1)
+  --watch-expiry          Re-solve when the injected token lapses before use
+  --max-resolves N        Re-solve limit for --watch-expiry (default 3)
+  --screenshot            Tap-to-select grid fallback (--max-rounds N, --no-interactive)
+  --remote                Live remote-control fallback (--region SEL)
+
+See README.md for details.
+`;
+
+  // Ctrl-C / SIGTERM cancel the command: relay pages and notifiers are told,
+  // then the relay, tunnel and DevTools sessions close and the process exits
+  // on its own. A second signal, or a cleanup that hangs, exits at once.
+  const controller = new AbortController();
+  opts.signal = controller.signal;
+  const onSignal = (name) => {
+    // 130 for SIGINT, 143 for SIGTERM
+    const code = 128 + require('os').constants.signals[name];
+    if (controller.signal.aborted) process.exit(code);
+    stderrLogger(`${name} received, cancelling (again to force)`);
+    process.exitCode = code;
+    controller.abort();
+    setTimeout(() => process.exit(code), CLI_EXIT_GRACE).unref();
+  };
+
+  // Runs inside the command's error handling, so malformed JSON or a bad
+  // provider path becomes an error event instead of a stack trace
+  const parseInputs = () => {
+    // GeeTest results are objects: --token '{"geetest_challenge":"...",...}'
+    if (/^\s*\{/.test(opts.token || '')) {
+      try {
+        opts.token = JSON.parse(opts.token);
+      } catch (e) {
+        throw new Error(`--token is not valid JSON: ${e.message}`);
+      }
+    }
+    // Provider modules, resolved against the working directory
+    opts.providers = getArgs('--provider').map((p) => {
+      try {
+        return require(require('path').resolve(p));
+      } catch (e) {
+        throw new Error(`Cannot load provider ${p}: ${e.message.split('\n')[0]}`);
+      }
     });
+  };
+
+  const command = args[0] && !args[0].startsWith('-') ? args[0] : 'solve';
+  if (command === 'help' || hasFlag('--help') || hasFlag('-h')) {
+    process.stdout.write(HELP);
+  } else if (!COMMANDS[command]) {
+    process.stderr.write(`Unknown command: ${command} (see --help)\n`);
+    process.exit(2);
   } else {
-    solveCaptcha(opts).catch(e => {
+    process.on('SIGINT', () => onSignal('SIGINT'));
+    process.on('SIGTERM', () => onSignal('SIGTERM'));
+    Promise.resolve().then(() => {
+      parseInputs();
+      return COMMANDS[command].run();
+    }).catch(e => {
+      // Cancelled: the flow has cleaned up; drop lingering DevTools sessions
+      if (e.name === 'AbortError') return closeSessions();
       console.error(JSON.stringify({ event: 'error', error: e.message }));
       process.exit(1);
     });
   }
 }
 
-module.exports = { solveCaptcha, solveCaptchaScreenshot, injectGridClicks };
+module.exports = { solveCaptcha, startRelay, watchCaptchas, injectCaptchaToken, solveCaptchaScreenshot, solveCaptchaRemote, injectGridClicks, registerProvider, startSolverApi, startSolve };
@@ -0,0 +1,127 @@
+/**
+ * Puppeteer / Playwright page adapter
+ *
+ * solveCaptcha({ page }) runs every step through the library's own CDP
+ * session for that page instead of a DevTools port. PageSession wraps it in
+ * the CdpSession interface the modules use: send() with an optional flat-mode
+ * sessionId, on/once/off with (params, sessionId) listeners, and
+ * 'disconnected' when the page closes.
+ *
+ * Out-of-process iframes are reachable with Puppeteer, whose connection hands
+ * out the child sessions auto-attach creates. Playwright doesn't expose them,
+ * so there only frames in the page's own process are scanned.
+ */
+const { CdpSession, borrowSession } = require('./cdp');
+
+function isPuppeteerPage(page) {
+  return typeof page.target === 'function';
+}
+
+function isPlaywrightPage(page) {
+  return typeof page.context === 'function';
+}
+
+class PageSession extends CdpSession {
+  /**
+   * @param {object} page - Puppeteer or Playwright Page (Chromium)
+   * @param {object} opts - CdpSession options; only `timeout` applies
+   */
+  constructor(page, opts = {}) {
+    super(null, opts);
+    this.page = page;
+    this.client = null;
+    this.children = new Map(); // flat-mode sessionId → library session
+    this.forwarded = new Set(); // CDP events subscribed on every library session
+  }
+
+  async connect() {
+    const { page } = this;
+    if (isPuppeteerPage(page)) {
+      this.client = await (page.createCDPSession ? page.createCDPSession() : page.target().createCDPSession());
+    } else if (isPlaywrightPage(page)) {
+      this.client = await page.context().newCDPSession(page);
+    } else {
+      throw new Error('Not a Puppeteer or Playwright page');
+    }
+    this.onPageClose = () => this.handleClose(null, 'page closed');
+    page.once('close', this.onPageClose);
+
+    const connection = typeof this.client.connection === 'function' ? this.client.connection() : null;
+    if (connection) {
+      this.on('Target.attachedToTarget', ({ sessionId }) => {
+        const child = connection.session(sessionId);
+        if (!child) return;
+        this.children.set(sessionId, child);
+        for (const method of this.forwarded) this.forward(child, sessionId, method);
+      });
+      this.on('Target.detachedFromTarget', ({ sessionId }) => this.children.delete(sessionId));
+    }
+  }
+
+  // Re-emit a library session's event to our listeners, tagged with its sessionId
+  forward(client, sessionId, method) {
+    client.on(method, (params) => this.emit(method, params, sessionId));
+  }
+
+  handleClose(code, reason) {
+    if (this.closed) return;
+    this.closed = true;
+    this.children.clear();
+    this.emit('disconnected', { code, reason });
+  }
+
+  on(method, fn) {
+    if (method !== 'disconnected' && method !== 'reconnected' && !this.forwarded.has(method)) {
+      this.forwarded.add(method);
+      this.forward(this.client, undefined, method);
+      for (const [sessionId, child] of this.children) this.forward(child, sessionId, method);
+    }
+    return super.on(method, fn);
+  }
+
+  async send(method, params = {}, sessionId, opts = {}) {
+    if (this.closed || !this.client) throw new Error(`CDP connection not open (${method})`);
+    const client = sessionId ? this.children.get(sessionId) : this.client;
+    if (!client) throw new Error(`CDP session ${sessionId} not reachable through the page adapter (${method})`);
+    const { timeout = this.timeout } = opts;
+    let timer;
+    try {
+      return await Promise.race([
+        client.send(method, params),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`CDP timeout: ${method}`)), timeout);
+        }),
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  close() {
+    const wasOpen = !this.closed;
+    this.closed = true;
+    if (this.onPageClose) this.page.off('close', this.onPageClose);
+    if (wasOpen && this.client) this.client.detach().catch(() => {});
+  }
+}
+
+/**
+ * Borrow the pooled PageSession of a library page (see openSession).
+ * @returns {Promise<{ session: PageSession, target: { id, type, title, url }, release }>}
+ */
+async function openPageSession(page, opts) {
+  const { session, release } = await borrowSession(page, () => {
+    const session = new PageSession(page, opts);
+    return { session, ready: session.connect() };
+  });
+  try {
+    const { targetInfo } = await session.send('Target.getTargetInfo');
+    const target = { id: targetInfo.targetId, type: targetInfo.type, title: targetInfo.title, url: targetInfo.url };
+    return { session, target, release };
+  } catch (e) {
+    release();
+    throw e;
+  }
+}
+
+module.exports = { PageSession, openPageSession };
@@ -2,103 +2,404 @@
  * Minimal CDP (Chrome DevTools Protocol) client
  */
 const WebSocket = require('ws');
-const http = require('http');
 
 let msgId = 0;
 
-function getCdpWsUrl(port = 18800) {
-  return new Promise((resolve, reject) => {
-    http.get(`http://127.0.0.1:${port}/json/version`, (res) => {
-      let data = '';
-      res.on('data', c => data += c);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data).webSocketDebuggerUrl);
-        } catch (e) { reject(e); }
-      });
-    }).on('error', reject);
-  });
+const HTTP_TIMEOUT = 5000;
+
+/**
+ * Normalize a DevTools endpoint. Accepted forms:
+ *   18800                                     local port (http://127.0.0.1:18800)
+ *   'http://host:9222', 'https://host?token=' HTTP endpoint serving /json/*
+ *   'ws://host:3000/devtools/browser/...'     browser WebSocket (browserless-style hosts)
+ *   { url, headers }                          either URL plus headers for every request
+ *   { page }                                  a Puppeteer/Playwright page (openSession only, see adapter.js)
+ * Query parameters (e.g. an auth token) are kept on every derived URL.
+ * @returns {{ http: URL|null, ws: string|null, headers: object }}
+ */
+function resolveEndpoint(endpoint = 18800) {
+  if (endpoint && endpoint.page) throw new Error('A Puppeteer/Playwright page has no DevTools URL; pass cdpPort or cdpEndpoint');
+  if (typeof endpoint === 'number' || /^\d+$/.test(String(endpoint))) {
+    return { http: new URL(`http://127.0.0.1:${endpoint}`), ws: null, headers: {} };
+  }
+  const { url, headers = {} } = typeof endpoint === 'string' ? { url: endpoint } : endpoint;
+  const parsed = new URL(url);
+  if (/^wss?:$/.test(parsed.protocol)) return { http: null, ws: parsed.href, headers };
+  if (!/^https?:$/.test(parsed.protocol)) throw new Error(`Unsupported DevTools endpoint: ${url}`);
+  return { http: parsed, ws: null, headers };
 }
 
-function getPageTargets(port = 18800) {
-  return new Promise((resolve, reject) => {
-    http.get(`http://127.0.0.1:${port}/json/list`, (res) => {
-      let data = '';
-      res.on('data', c => data += c);
-      res.on('end', () => {
-        try {
-          const targets = JSON.parse(data).filter(t => t.type === 'page');
-          resolve(targets);
-        } catch (e) { reject(e); }
-      });
-    }).on('error', reject);
-  });
+/**
+ * The endpoint for a set of solve options: a library page when given, then
+ * cdpEndpoint (plus cdpHeaders), else cdpPort. Every function taking a port
+ * also takes this.
+ */
+function endpointOf({ cdpPort = 18800, cdpEndpoint, cdpHeaders, page } = {}) {
+  if (page) return { page };
+  if (!cdpEndpoint) return cdpPort;
+  if (typeof cdpEndpoint === 'object') return { ...cdpEndpoint, headers: { ...cdpHeaders, ...cdpEndpoint.headers } };
+  return cdpHeaders ? { url: cdpEndpoint, headers: cdpHeaders } : cdpEndpoint;
 }
 
-function cdpSend(wsUrl, method, params = {}) {
-  return new Promise((resolve, reject) => {
-    const ws = new WebSocket(wsUrl, { perMessageDeflate: false });
-    const id = ++msgId;
-    ws.on('open', () => {
-      ws.send(JSON.stringify({ id, method, params }));
-    });
-    ws.on('message', (data) => {
-      const msg = JSON.parse(data);
-      if (msg.id === id) {
-        ws.close();
-        if (msg.error) reject(new Error(msg.error.message));
-        else resolve(msg.result);
+// GET a /json/* path on an HTTP endpoint, keeping the endpoint's query
+async function getJson({ http: base, headers }, path) {
+  const url = new URL(base);
+  url.pathname = url.pathname.replace(/\/$/, '') + path;
+  let res;
+  try {
+    res = await fetch(url, { headers, signal: AbortSignal.timeout(HTTP_TIMEOUT) });
+  } catch (e) {
+    const err = new Error(`Cannot reach DevTools at ${url.origin}: ${e.cause ? e.cause.code || e.cause.message : e.message}`);
+    err.unreachable = true;
+    throw err;
+  }
+  if (!res.ok) throw new Error(`${url.origin}${url.pathname}: HTTP ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Browser-level WebSocket URL of an endpoint.
+ * @param {number|string|object} port - Port or DevTools endpoint (see resolveEndpoint)
+ */
+async function getCdpWsUrl(port = 18800) {
+  const endpoint = resolveEndpoint(port);
+  if (endpoint.ws) return endpoint.ws;
+  const { webSocketDebuggerUrl } = await getJson(endpoint, '/json/version');
+  if (!webSocketDebuggerUrl) throw new Error(`${endpoint.http.origin} reported no browser WebSocket URL`);
+  return withQuery(webSocketDebuggerUrl, endpoint.http);
+}
+
+// Carry the endpoint's query (auth token) over to a reported URL that has none
+function withQuery(wsUrl, base) {
+  if (!wsUrl) return wsUrl;
+  const ws = new URL(wsUrl);
+  if (!ws.search) ws.search = base.search;
+  return ws.href;
+}
+
+/**
+ * Page targets of an endpoint, in /json/list form ({ id, type, title, url,
+ * webSocketDebuggerUrl }). HTTP endpoints are asked for /json/list first;
+ * WebSocket endpoints, and hosts that don't serve it, are asked over the
+ * browser session with Target.getTargets. Page URLs are then derived as
+ * /devtools/page/<id> on the browser socket's host.
+ * @param {number|string|object} port - Port or DevTools endpoint (see resolveEndpoint)
+ */
+async function getPageTargets(port = 18800) {
+  const endpoint = resolveEndpoint(port);
+  if (endpoint.http) {
+    try {
+      const targets = await getJson(endpoint, '/json/list');
+      if (Array.isArray(targets)) {
+        return targets.filter(t => t.type === 'page').map(t => ({ ...t, webSocketDebuggerUrl: withQuery(t.webSocketDebuggerUrl, endpoint.http) }));
       }
-    });
-    ws.on('error', reject);
-    setTimeout(() => { ws.close(); reject(new Error('CDP timeout')); }, 10000);
+    } catch (e) {
+      // A host that can't be reached has no browser socket either
+      if (e.unreachable) throw e;
+    }
+  }
+
+  const browserWs = await getCdpWsUrl(port);
+  const { session, release } = await sharedSession(browserWs, { headers: endpoint.headers });
+  let targetInfos;
+  try {
+    ({ targetInfos } = await session.send('Target.getTargets'));
+  } finally {
+    release();
+  }
+  return targetInfos.filter(t => t.type === 'page').map(t => {
+    const ws = new URL(browserWs);
+    ws.pathname = `/devtools/page/${t.targetId}`;
+    return { id: t.targetId, type: t.type, title: t.title, url: t.url, webSocketDebuggerUrl: ws.href };
   });
 }
 
 /**
- * Long-lived CDP session for multiple commands
+ * Pick a page target by id, URL pattern or title pattern.
+ * With no criteria, the first non-chrome:// page wins.
+ * @param {number|string|object} port - Port or DevTools endpoint
+ * @param {object|string} criteria - targetId string, or { targetId, urlMatch, titleMatch }
+ *   where urlMatch/titleMatch are RegExps or regex source strings
+ */
+async function findPageTarget(port = 18800, criteria = {}) {
+  if (typeof criteria === 'string') criteria = { targetId: criteria };
+  const { targetId, urlMatch, titleMatch } = criteria;
+  const targets = await getPageTargets(port);
+
+  if (targetId) {
+    const target = targets.find(t => t.id === targetId);
+    if (!target) throw new Error(`Target ${targetId} not found`);
+    return target;
+  }
+
+  const toRe = (p) => (p instanceof RegExp ? p : new RegExp(p));
+  let candidates = targets;
+  if (urlMatch) candidates = candidates.filter(t => toRe(urlMatch).test(t.url));
+  if (titleMatch) candidates = candidates.filter(t => toRe(titleMatch).test(t.title));
+  if (urlMatch || titleMatch) {
+    if (!candidates.length) throw new Error(`No page target matches ${JSON.stringify({ urlMatch: String(urlMatch || ''), titleMatch: String(titleMatch || '') })}`);
+    return candidates[0];
+  }
+
+  const target = targets.find(t => !t.url.startsWith('chrome://')) || targets[0];
+  if (!target) throw new Error('No page targets found');
+  return target;
+}
+
+/**
+ * Long-lived CDP session for multiple commands and events
+ *
+ * Beyond request/response it dispatches CDP events to on/once listeners
+ * (with the flat-mode sessionId of attached targets), rejects pending calls
+ * when the socket goes away, and can reconnect. Besides CDP methods, two
+ * connection events are emitted: 'disconnected' ({ code, reason }) and
+ * 'reconnected' ({ attempt }). Flat-mode child sessions do not survive a
+ * reconnect; look frames up again after one.
  */
 class CdpSession {
-  constructor(wsUrl) {
+  /**
+   * @param {string} wsUrl
+   * @param {object} opts
+   * @param {number} opts.timeout - Default per-call timeout in ms (default: 15000)
+   * @param {boolean} opts.reconnect - Reopen the socket when it drops (default: false)
+   * @param {number} opts.maxReconnects - Attempts per drop, with doubling delays (default: 5)
+   * @param {number} opts.reconnectDelay - First retry delay in ms (default: 500)
+   * @param {object} opts.headers - Extra handshake headers (auth for remote endpoints)
+   */
+  constructor(wsUrl, opts = {}) {
+    const { timeout = 15000, reconnect = false, maxReconnects = 5, reconnectDelay = 500, headers = {} } = opts;
     this.wsUrl = wsUrl;
+    this.headers = headers;
     this.ws = null;
     this.pending = new Map();
+    this.listeners = new Map();
+    this.timeout = timeout;
+    this.reconnect = reconnect;
+    this.maxReconnects = maxReconnects;
+    this.reconnectDelay = reconnectDelay;
+    this.reconnecting = null;
+    this.closed = false;
   }
 
   connect() {
     return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(this.wsUrl, { perMessageDeflate: false });
-      this.ws.on('open', resolve);
-      this.ws.on('message', (data) => {
-        const msg = JSON.parse(data);
-        if (msg.id && this.pending.has(msg.id)) {
-          const { resolve, reject } = this.pending.get(msg.id);
-          this.pending.delete(msg.id);
-          if (msg.error) reject(new Error(msg.error.message));
-          else resolve(msg.result);
-        }
+      const ws = new WebSocket(this.wsUrl, { perMessageDeflate: false, headers: this.headers });
+      this.ws = ws;
+      let opened = false;
+      ws.on('open', () => {
+        opened = true;
+        resolve();
       });
-      this.ws.on('error', reject);
+      ws.on('message', (data) => this.handleMessage(JSON.parse(data)));
+      ws.on('error', (e) => {
+        if (!opened) reject(e);
+      });
+      ws.on('close', (code, reason) => {
+        if (opened) this.handleClose(code, String(reason));
+      });
+    });
+  }
+
+  handleMessage(msg) {
+    if (msg.id && this.pending.has(msg.id)) {
+      const { resolve, reject, timer } = this.pending.get(msg.id);
+      this.pending.delete(msg.id);
+      clearTimeout(timer);
+      if (msg.error) reject(new Error(msg.error.message));
+      else resolve(msg.result);
+    } else if (msg.method) {
+      this.emit(msg.method, msg.params, msg.sessionId);
+    }
+  }
+
+  handleClose(code, reason) {
+    this.rejectPending(new Error('CDP connection closed'));
+    this.emit('disconnected', { code, reason });
+    if (this.closed) return;
+    if (!this.reconnect) {
+      this.closed = true;
+      return;
+    }
+
+    this.reconnecting = (async () => {
+      for (let attempt = 1; attempt <= this.maxReconnects; attempt++) {
+        await new Promise(r => setTimeout(r, this.reconnectDelay * 2 ** (attempt - 1)));
+        if (this.closed) return false;
+        try {
+          await this.connect();
+          this.emit('reconnected', { attempt });
+          return true;
+        } catch {}
+      }
+      return false;
+    })();
+    this.reconnecting.then(ok => {
+      this.reconnecting = null;
+      if (!ok) this.closed = true;
     });
   }
 
-  send(method, params = {}) {
+  rejectPending(err) {
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(err);
+    }
+    this.pending.clear();
+  }
+
+  emit(method, params, sessionId) {
+    const set = this.listeners.get(method);
+    if (set) for (const fn of [...set]) fn(params, sessionId);
+  }
+
+  /**
+   * Listen for a CDP event. Handlers get (params, sessionId).
+   */
+  on(method, fn) {
+    if (!this.listeners.has(method)) this.listeners.set(method, new Set());
+    this.listeners.get(method).add(fn);
+    return this;
+  }
+
+  /**
+   * Listen for the next occurrence only. Without a handler, returns a
+   * Promise of the event's params.
+   */
+  once(method, fn) {
+    if (!fn) return new Promise(resolve => this.once(method, resolve));
+    const wrapper = (params, sessionId) => {
+      this.off(method, wrapper);
+      fn(params, sessionId);
+    };
+    wrapper.listener = fn;
+    return this.on(method, wrapper);
+  }
+
+  off(method, fn) {
+    const set = this.listeners.get(method);
+    if (set) {
+      for (const l of set) if (l === fn || l.listener === fn) set.delete(l);
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} sessionId - Flat-mode session of an attached target (optional)
+   * @param {object} opts
+   * @param {number} opts.timeout - Overrides the session's default timeout
+   */
+  async send(method, params = {}, sessionId, opts = {}) {
+    if (this.reconnecting) await this.reconnecting;
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) throw new Error(`CDP connection not open (${method})`);
+    const { timeout = this.timeout } = opts;
     return new Promise((resolve, reject) => {
       const id = ++msgId;
-      this.pending.set(id, { resolve, reject });
-      this.ws.send(JSON.stringify({ id, method, params }));
-      setTimeout(() => {
-        if (this.pending.has(id)) {
-          this.pending.delete(id);
-          reject(new Error('CDP timeout'));
-        }
-      }, 15000);
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`CDP timeout: ${method}`));
+      }, timeout);
+      this.pending.set(id, { resolve, reject, timer });
+      this.ws.send(JSON.stringify(sessionId ? { id, method, params, sessionId } : { id, method, params }));
     });
   }
 
   close() {
+    this.closed = true;
+    this.rejectPending(new Error('CDP session closed'));
     if (this.ws) this.ws.close();
   }
 }
 
-module.exports = { getCdpWsUrl, getPageTargets, cdpSend, CdpSession };
+// One connection per target (or adapted library page), shared by every
+// module working on it. Kept open briefly after the last user releases it,
+// so back-to-back steps (detect, inject, verify; screenshot rounds) reuse it.
+const SHARED_LINGER = 1000;
+const shared = new Map();
+
+/**
+ * Borrow a pooled session by key, creating it with create() → { session, ready }
+ * on first use. Call release() when done instead of session.close(); listeners
+ * you added must be removed with off().
+ * @returns {Promise<{ session, release: Function }>}
+ */
+async function borrowSession(key, create) {
+  let entry = shared.get(key);
+  if (!entry || entry.session.closed) {
+    entry = { refs: 0, timer: null, ...create() };
+    shared.set(key, entry);
+  }
+  clearTimeout(entry.timer);
+  entry.refs++;
+  try {
+    await entry.ready;
+  } catch (e) {
+    if (shared.get(key) === entry) shared.delete(key);
+    throw e;
+  }
+
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    if (--entry.refs > 0) return;
+    entry.timer = setTimeout(() => {
+      if (shared.get(key) === entry) shared.delete(key);
+      entry.session.close();
+    }, SHARED_LINGER);
+  };
+  return { session: entry.session, release };
+}
+
+/**
+ * Borrow the shared session for a WebSocket URL (see borrowSession).
+ * @returns {Promise<{ session: CdpSession, release: Function }>}
+ */
+function sharedSession(wsUrl, opts = {}) {
+  return borrowSession(wsUrl, () => {
+    const session = new CdpSession(wsUrl, { reconnect: true, maxReconnects: 3, ...opts });
+    return { session, ready: session.connect() };
+  });
+}
+
+/**
+ * Find a page target and borrow its shared session. A `{ page }` endpoint
+ * (Puppeteer or Playwright) is that page's own session; criteria are ignored.
+ * @param {number|string|object} port - Port or DevTools endpoint
+ * @param {object|string} criteria - as for findPageTarget
+ * @returns {Promise<{ session, target, release }>}
+ */
+async function openSession(port = 18800, criteria, opts) {
+  // adapter.js builds on this module, so it is loaded on first use
+  if (port && port.page) return require('./adapter').openPageSession(port.page, opts);
+  const target = await findPageTarget(port, criteria);
+  const { headers } = resolveEndpoint(port);
+  const { session, release } = await sharedSession(target.webSocketDebuggerUrl, { headers, ...opts });
+  return { session, target, release };
+}
+
+/**
+ * Close every shared session now instead of after the linger delay.
+ */
+function closeSessions() {
+  for (const entry of shared.values()) {
+    clearTimeout(entry.timer);
+    entry.session.close();
+  }
+  shared.clear();
+}
+
+/**
+ * One-off command over the target's shared session.
+ */
+async function cdpSend(wsUrl, method, params = {}) {
+  const { session, release } = await sharedSession(wsUrl);
+  try {
+    return await session.send(method, params);
+  } finally {
+    release();
+  }
+}
+
+module.exports = {
+  resolveEndpoint, endpointOf, getCdpWsUrl, getPageTargets, findPageTarget, cdpSend, CdpSession, openSession, sharedSession, borrowSession, closeSessions,
+};
@@ -1,103 +1,226 @@
 /**
  * CAPTCHA detection and sitekey extraction via CDP
+ *
+ * Every frame of the target (including out-of-process iframes) is scanned in
+ * an isolated world, and queries pierce open shadow roots. What to look for
+ * comes from the providers (lib/providers): each contributes a page-side
+ * detector that runs on the shared context below.
  */
-const { cdpSend, getCdpWsUrl, getPageTargets } = require('./cdp');
+const { openSession } = require('./cdp');
+const { DEEP_QUERY, listFrames, getIsolatedWorld } = require('./frames');
+const { listProviders } = require('./providers');
 
-const DETECTION_SCRIPT = `
-(() => {
-  const result = { type: null, sitekey: null, pageUrl: location.href };
-
-  // reCAPTCHA v2
-  const rc = document.querySelector('.g-recaptcha[data-sitekey]');
-  if (rc) {
-    result.type = 'recaptcha-v2';
-    result.sitekey = rc.dataset.sitekey;
-    return result;
-  }
+// Page-side helpers handed to every provider detector as `ctx`
+const DETECTION_CONTEXT = `
+  ${DEEP_QUERY}
+  const widgets = [];
+  const seen = new Set();
 
-  // reCAPTCHA via iframe
-  const rcIframe = document.querySelector('iframe[src*="recaptcha/api2/anchor"]');
-  if (rcIframe) {
-    const m = rcIframe.src.match(/[?&]k=([^&]+)/);
-    if (m) {
-      result.type = 'recaptcha-v2';
-      result.sitekey = m[1];
-      return result;
+  // Short CSS path, anchored at the nearest ancestor with an id
+  const cssPath = (el) => {
+    const parts = [];
+    for (let n = el; n && n.nodeType === 1; n = n.parentElement) {
+      if (n.id) { parts.unshift('#' + CSS.escape(n.id)); break; }
+      let part = n.tagName.toLowerCase();
+      const sibs = n.parentElement ? [...n.parentElement.children].filter(c => c.tagName === n.tagName) : [];
+      if (sibs.length > 1) part += ':nth-of-type(' + (sibs.indexOf(n) + 1) + ')';
+      parts.unshift(part);
     }
-  }
+    return parts.join(' > ');
+  };
 
-  // hCaptcha
-  const hc = document.querySelector('.h-captcha[data-sitekey]');
-  if (hc) {
-    result.type = 'hcaptcha';
-    result.sitekey = hc.dataset.sitekey;
-    return result;
-  }
+  const describeForm = (el) => {
+    const form = el.closest('form');
+    if (!form) return null;
+    return { id: form.id || null, name: form.getAttribute('name'), action: form.getAttribute('action') };
+  };
 
-  // hCaptcha via iframe
-  const hcIframe = document.querySelector('iframe[src*="hcaptcha.com"]');
-  if (hcIframe) {
-    const m = hcIframe.src.match(/sitekey=([^&]+)/);
-    if (m) {
-      result.type = 'hcaptcha';
-      result.sitekey = m[1];
-      return result;
+  // Non-empty data-* values for the given keys. Only whitelisted render
+  // parameters are copied; callbacks and anything else stay on the page.
+  const pickData = (el, keys) => {
+    const out = {};
+    if (el) for (const k of keys) if (el.dataset[k]) out[k] = el.dataset[k];
+    return out;
+  };
+
+  // Query and hash parameters of a URL (hCaptcha puts its config in the hash)
+  const urlParams = (url, keys) => {
+    const out = {};
+    if (!url) return out;
+    const u = new URL(url, location.href);
+    const all = new URLSearchParams(u.search + '&' + u.hash.slice(1));
+    for (const k of keys) if (all.get(k)) out[k] = all.get(k);
+    return out;
+  };
+
+  // Report one sitekey widget found through spec (see scan), once per element
+  const add = (spec, container, iframe, field) => {
+    const anchor = field || iframe || container;
+    if (seen.has(anchor)) return;
+    seen.add(anchor);
+    let sitekey = container && container.dataset.sitekey;
+    if (!sitekey && iframe) {
+      const m = iframe.src.match(spec.keyRe);
+      if (m) sitekey = decodeURIComponent(m[1]);
     }
-  }
+    if (!sitekey) return;
+    const type = typeof spec.type === 'function' ? spec.type(container, iframe, sitekey) : spec.type;
+    const params = spec.paramsOf ? spec.paramsOf(container, iframe) : {};
+    widgets.push({
+      type,
+      sitekey,
+      action: params.action || (spec.actionOf && spec.actionOf(type, sitekey)) || null,
+      params,
+      widgetId: spec.widgetIdOf ? spec.widgetIdOf(field, iframe) : null,
+      container: container ? cssPath(container) : null,
+      callback: (container && container.dataset.callback) || null,
+      expiredCallback: (container && container.dataset.expiredCallback) || null,
+      responseField: field ? cssPath(field) : null,
+      form: describeForm(anchor),
+    });
+  };
 
-  // Turnstile
-  const ts = document.querySelector('.cf-turnstile[data-sitekey]');
-  if (ts) {
-    result.type = 'turnstile';
-    result.sitekey = ts.dataset.sitekey;
-    return result;
-  }
+  // The usual widget shape: { type, container, iframe, field, keyRe, paramsOf,
+  // widgetIdOf, actionOf }. Containers first, then bare iframes that sit
+  // outside any container (explicitly rendered widgets).
+  const scan = (spec) => {
+    for (const container of __deepQueryAll(spec.container)) {
+      add(spec, container, container.querySelector(spec.iframe), container.querySelector(spec.field));
+    }
+    for (const iframe of __deepQueryAll(spec.iframe)) {
+      if (spec.container && iframe.closest(spec.container)) continue;
+      const wrapper = iframe.parentElement && iframe.parentElement.parentElement;
+      add(spec, null, iframe, wrapper && wrapper.querySelector(spec.field));
+    }
+  };
+
+  const ctx = {
+    widgets, deepQuery: __deepQuery, deepQueryAll: __deepQueryAll,
+    cssPath, describeForm, pickData, urlParams, add, scan,
+    push: (w) => widgets.push(w),
+  };
+`;
+
+// A detector as page source: functions are serialized (method shorthand
+// `detect(ctx) {}` becomes a function expression), strings used as is
+const detectorSource = (p) => {
+  if (typeof p.detect !== 'function') return p.detect;
+  const src = p.detect.toString();
+  return /^(async\s+)?(function\b|\(|[\w$]+\s*=>)/.test(src) ? src : `function ${src}`;
+};
 
-  // Turnstile via iframe
-  const tsIframe = document.querySelector('iframe[src*="challenges.cloudflare.com"]');
-  if (tsIframe) {
-    const m = tsIframe.src.match(/[?&]k=([^&]+)/);
-    if (m) {
-      result.type = 'turnstile';
-      result.sitekey = m[1];
-      return result;
+/**
+ * The detection script for a set of providers. Detectors run in order, each
+ * isolated from the others' errors. A bare [data-sitekey] is typed by the
+ * providers' script tags; fallback detectors only run when nothing was found.
+ */
+function detectionScript(providers) {
+  const run = (list) => list.map(p => `
+  try { (${detectorSource(p)})(ctx); } catch (e) {}`).join('');
+  const detecting = providers.filter(p => p.detect);
+  const guesses = providers.filter(p => p.scriptSelector).map(p => [p.scriptSelector, p.genericType || p.types[0]]);
+  return `
+(() => {
+  ${DETECTION_CONTEXT}
+  ${run(detecting.filter(p => !p.fallback))}
+
+  // Generic data-sitekey: guess the type from the scripts loaded
+  if (!widgets.length) {
+    const generic = __deepQuery('[data-sitekey]');
+    if (generic) {
+      const guess = ${JSON.stringify(guesses)}.find(([sel]) => __deepQuery(sel));
+      widgets.push({
+        type: guess ? guess[1] : 'unknown',
+        sitekey: generic.dataset.sitekey,
+        action: generic.dataset.action || null,
+        params: {},
+        widgetId: null,
+        container: cssPath(generic),
+        callback: generic.dataset.callback || null,
+        expiredCallback: generic.dataset.expiredCallback || null,
+        responseField: null,
+        form: describeForm(generic),
+      });
     }
   }
 
-  // Generic data-sitekey
-  const generic = document.querySelector('[data-sitekey]');
-  if (generic) {
-    result.sitekey = generic.dataset.sitekey;
-    // Try to guess type from scripts loaded
-    if (document.querySelector('script[src*="recaptcha"]')) result.type = 'recaptcha-v2';
-    else if (document.querySelector('script[src*="hcaptcha"]')) result.type = 'hcaptcha';
-    else if (document.querySelector('script[src*="turnstile"]')) result.type = 'turnstile';
-    else result.type = 'unknown';
-    return result;
+  if (!widgets.length) {${run(detecting.filter(p => p.fallback))}
   }
 
-  return result;
+  return { widgets, frameUrl: location.href };
 })()
 `;
+}
 
-async function detectCaptcha(cdpPort = 18800, targetId) {
-  const targets = await getPageTargets(cdpPort);
-  let target;
-  if (targetId) {
-    target = targets.find(t => t.id === targetId);
+async function scanFrames(session, providers) {
+  const script = detectionScript(providers);
+  // Frames served by the CAPTCHA vendors themselves; the widget belongs to
+  // the frame that embeds them
+  const vendorFrame = (url) => providers.some(p => p.vendorFrame && p.vendorFrame.test(url));
+  const frames = await listFrames(session);
+  const pageUrl = frames.length ? frames[0].url : undefined;
+  const widgets = [];
+  for (const frame of frames) {
+    if (vendorFrame(frame.url)) continue;
+    try {
+      const contextId = await getIsolatedWorld(session, frame, 'captcha-relay');
+      const { result } = await session.send('Runtime.evaluate', {
+        expression: script,
+        contextId,
+        returnByValue: true,
+      }, frame.sessionId);
+      for (const w of (result.value && result.value.widgets) || []) {
+        widgets.push({ ...w, frameId: frame.frameId, frameUrl: result.value.frameUrl });
+      }
+    } catch {
+      // Frame navigated away or is not scriptable; keep looking
+    }
   }
-  if (!target) {
-    // Pick the first non-newtab page
-    target = targets.find(t => !t.url.startsWith('chrome://')) || targets[0];
+  return { pageUrl, widgets };
+}
+
+/**
+ * Detect a CAPTCHA on one page target.
+ * @param {number|string|object} cdpPort - Port or DevTools endpoint (see cdp.js)
+ * @param {object|string} target - targetId, or { targetId, urlMatch, titleMatch }
+ * @param {object} opts
+ * @param {number} opts.wait - Keep re-scanning up to this many ms for widgets
+ *   injected after load (default: 0, scan once)
+ * @param {object[]} opts.providers - Extra providers (see lib/providers)
+ * @returns {object} { pageUrl, targetId, widgets: [{ type, sitekey, action, params, widgetId,
+ *   container, callback, expiredCallback, responseField, form, frameId, frameUrl }] } with the
+ *   first widget's fields also copied to the top level. 'image-text' widgets have no
+ *   sitekey and carry `image`, `input` and `refresh` CSS paths instead.
+ */
+async function detectCaptcha(cdpPort = 18800, target, opts = {}) {
+  const { wait = 0 } = opts;
+  const providers = listProviders(opts.providers);
+  const { session, target: page, release } = await openSession(cdpPort, target);
+
+  try {
+    const deadline = Date.now() + wait;
+    for (;;) {
+      const { pageUrl, widgets } = await scanFrames(session, providers);
+      if (widgets.length || Date.now() >= deadline) {
+        // Provider page hooks, each for the widgets it owns
+        for (const p of providers) {
+          const own = widgets.filter(w => providers.find(q => q.types.includes(w.type)) === p);
+          if (p.afterDetect && own.length) await p.afterDetect(session, own);
+        }
+        return {
+          type: null,
+          sitekey: null,
+          ...widgets[0],
+          pageUrl: pageUrl || page.url,
+          targetId: page.id,
+          widgets,
+        };
+      }
+      await new Promise(r => setTimeout(r, 500));
+    }
+  } finally {
+    release();
   }
-  if (!target) throw new Error('No page targets found');
-
-  const wsUrl = target.webSocketDebuggerUrl;
-  const result = await cdpSend(wsUrl, 'Runtime.evaluate', {
-    expression: DETECTION_SCRIPT,
-    returnByValue: true,
-  });
-  return result.result.value;
 }
 
-module.exports = { detectCaptcha };
+module.exports = { detectCaptcha, detectionScript };
@@ -0,0 +1,130 @@
+/**
+ * Progress events, log lines and cancellation
+ *
+ * The flows in index.js never write to stdout or stderr themselves. Each call
+ * reports through `opts.onEvent`, which receives one `{ event, ...data }`
+ * object per event, and logs through `opts.logger`. The CLI passes a JSON-lines
+ * writer and the stderr logger; module users pass their own, or run the solve
+ * as a job (createJob) and listen to it.
+ *
+ * Solve events, in order: detected, ready, notified, token, injected,
+ * verified, solved. Besides those: retry, timeout, expired, cancelled,
+ * watch-ended, error (jobs only), and the watch, screenshot and api events.
+ *
+ * Flows take `opts.signal` (an AbortSignal). Aborting settles their relay
+ * jobs as cancelled and makes the call reject with an AbortError.
+ */
+const { EventEmitter } = require('events');
+
+// The CLI's logger: `[captcha-relay] ...` lines on stderr
+const stderrLogger = (msg) => process.stderr.write(`[captcha-relay] ${msg}\n`);
+
+/**
+ * emit() and log() for one call.
+ * @param {object} opts
+ * @param {Function} opts.onEvent - Receives every `{ event, ...data }`
+ * @param {Function|object|false} opts.logger - A function taking one line,
+ *   an object with info() (console, pino, winston, ...). Without one
+ *   nothing is logged
+ */
+function createReporter({ onEvent, logger } = {}) {
+  const log = !logger ? () => {} : typeof logger === 'function' ? logger : (msg) => logger.info(msg);
+  const emit = (event, data = {}) => {
+    if (!onEvent) return;
+    // A throwing handler must not break the solve
+    try {
+      onEvent({ event, ...data });
+    } catch (e) {
+      log(`onEvent handler failed: ${e.message}`);
+    }
+  };
+  return { emit, log };
+}
+
+// The error a cancelled call rejects with, like fetch() and timers/promises.
+// A string abort reason becomes the message
+function abortError(signal) {
+  const reason = signal && signal.reason;
+  const err = new Error(typeof reason === 'string' ? reason : 'CAPTCHA solve cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Settle like `promise`, or reject with an AbortError as soon as `signal`
+ * aborts. The work itself keeps going; the caller's cleanup deals with it.
+ */
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError(signal));
+  let onAbort;
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(abortError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+/**
+ * Run `fn(opts)` as a job: an EventEmitter for its events that is also
+ * async-iterable, with `result` settling like fn's own Promise.
+ *
+ *   job.on('ready', e => ...)        one event type
+ *   job.on('event', e => ...)        every event
+ *   for await (const e of job) ...   every event from the start, until done
+ *
+ * A failure becomes an `error` event. It is only emitted as 'error' on the
+ * emitter when something listens for it, so an unobserved failure doesn't
+ * throw; `result` still rejects. `job.cancel()` aborts the run (as does
+ * `opts.signal`); that is reported by the flow's own `cancelled` event.
+ */
+function createJob(fn, opts = {}) {
+  const job = new EventEmitter();
+  const controller = new AbortController();
+  if (opts.signal) {
+    if (opts.signal.aborted) controller.abort(opts.signal.reason);
+    else opts.signal.addEventListener('abort', () => controller.abort(opts.signal.reason), { once: true });
+  }
+  job.cancel = (reason) => controller.abort(reason);
+  const events = [];
+  let finished = false;
+  let changed;
+  let settle;
+  const renew = () => { changed = new Promise(r => { settle = r; }); };
+  renew();
+  const wake = () => {
+    const s = settle;
+    renew();
+    s();
+  };
+
+  const onEvent = (e) => {
+    events.push(e);
+    if (opts.onEvent) opts.onEvent(e);
+    job.emit('event', e);
+    if (e.event !== 'error' || job.listenerCount('error')) job.emit(e.event, e);
+    wake();
+  };
+
+  // Started on the next tick, so listeners attached right after see everything
+  job.result = Promise.resolve().then(() => fn({ ...opts, onEvent, signal: controller.signal }));
+  job.result
+    .catch((e) => {
+      if (e.name !== 'AbortError') createReporter({ ...opts, onEvent }).emit('error', { error: e.message });
+    })
+    .finally(() => {
+      finished = true;
+      wake();
+    });
+
+  job[Symbol.asyncIterator] = async function* () {
+    for (let i = 0; ; i++) {
+      while (i >= events.length && !finished) await changed;
+      if (i >= events.length) return;
+      yield events[i];
+    }
+  };
+  return job;
+}
+
+module.exports = { createReporter, createJob, stderrLogger, abortError, untilAborted };
@@ -0,0 +1,122 @@
+/**
+ * Token lifetimes and expiry watching
+ *
+ * Provider tokens are only accepted for a short while after they are issued.
+ * Results carry issuedAt/expiresAt from the provider's tokenTtl (see
+ * tokenTimes in lib/providers); watchToken() polls the page and reports when
+ * an injected token lapses before the page used it.
+ */
+const { openSession } = require('./cdp');
+const { DEEP_QUERY, getFrameContext } = require('./frames');
+const { responseFieldSelector, currentEntryId } = require('./verify');
+const { findProvider } = require('./providers');
+
+// Runs in the widget frame's main world. Wraps the page's expired-callback
+// once, so a provider reset is remembered between polls.
+const STATE_SCRIPT = (type, token, widgetId, expiredCallback, providers) => {
+  const { isExpired } = findProvider(type, providers);
+  return `
+  (() => {
+    ${DEEP_QUERY}
+    const token = ${JSON.stringify(token)};
+    const wid = ${JSON.stringify(widgetId)};
+    const cb = ${JSON.stringify(expiredCallback)};
+    const state = window.__captchaRelayExpiry = window.__captchaRelayExpiry || { fired: {} };
+
+    if (cb && typeof window[cb] === 'function' && !window[cb].__captchaRelay) {
+      const orig = window[cb];
+      window[cb] = function (...args) {
+        state.fired[String(wid)] = true;
+        return orig.apply(this, args);
+      };
+      window[cb].__captchaRelay = true;
+    }
+
+    let expired = !!state.fired[String(wid)];
+    ${isExpired ? `try { expired = expired || !!${isExpired(widgetId, type)}; } catch (e) {}` : ''}
+
+    const selector = ${JSON.stringify(responseFieldSelector(type, widgetId, providers))};
+    const field = selector ? __deepQuery(selector) : null;
+    const expected = token && typeof token === 'object' ? field && token[field.name] : token;
+    return { present: !!field, fieldMatches: field ? field.value === expected : null, expired };
+  })()
+`;
+};
+
+/**
+ * Watch an injected token until the page uses it or it lapses.
+ *
+ * The watch ends with one of:
+ *   'expired'     expiresAt passed, the widget's expired-callback fired, or
+ *                 the provider's isExpired check says so (Turnstile)
+ *   'navigation'  the page navigated (token submitted, or the user moved on)
+ *   'reset'       the response field no longer holds the token
+ *   'widget-gone' the widget's frame can't be reached any more
+ *   'stopped'     stop() was called
+ *
+ * @param {object} opts - injectToken-style target/widget options plus:
+ * @param {number} opts.expiresAt - Token expiry (ms epoch)
+ * @param {string} opts.expiredCallback - Page's data-expired-callback name
+ * @param {number} opts.interval - Poll interval in ms (default: 1000)
+ * @returns {{ done: Promise<string>, stop: Function }}
+ */
+function watchToken(opts) {
+  const {
+    cdpPort = 18800, targetId, target: criteria, type, token, frameId, widgetId = null,
+    expiredCallback = null, expiresAt, interval = 1000, providers,
+  } = opts;
+
+  let stopped = false;
+  let wake = null;
+  const stop = () => {
+    stopped = true;
+    if (wake) wake();
+  };
+
+  const done = (async () => {
+    const { session, release } = await openSession(cdpPort, targetId ? { targetId } : criteria);
+
+    try {
+      const startEntry = await currentEntryId(session);
+      let context = null;
+      let wasPresent = false;
+      let failures = 0;
+
+      while (!stopped) {
+        if (Date.now() >= expiresAt) return 'expired';
+        if (await currentEntryId(session) !== startEntry) return 'navigation';
+
+        try {
+          if (frameId && !context) context = await getFrameContext(session, frameId);
+          const { result } = await session.send('Runtime.evaluate', {
+            expression: STATE_SCRIPT(type, token, widgetId, expiredCallback, providers),
+            contextId: context ? context.contextId : undefined,
+            returnByValue: true,
+          }, context ? context.sessionId : undefined);
+          const state = result.value;
+          failures = 0;
+
+          if (state.expired) return 'expired';
+          if (state.present) wasPresent = true;
+          if (wasPresent && state.fieldMatches === false) return 'reset';
+        } catch {
+          // The frame may be reloading; look it up again next time
+          context = null;
+          if (++failures >= 3) return 'widget-gone';
+        }
+
+        await new Promise(r => {
+          wake = r;
+          setTimeout(r, Math.min(interval, Math.max(0, expiresAt - Date.now())));
+        });
+      }
+      return 'stopped';
+    } finally {
+      release();
+    }
+  })();
+
+  return { done, stop };
+}
+
+module.exports = { watchToken };
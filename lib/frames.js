@@ -0,0 +1,221 @@
+/**
+ * Frame and shadow-DOM helpers shared by detection and injection
+ *
+ * A page's widgets can live in same-process iframes (listed by
+ * Page.getFrameTree), in out-of-process iframes (separate targets, reached by
+ * auto-attaching in flat mode) or inside open shadow roots.
+ */
+
+/**
+ * Page-side helpers prepended to evaluated scripts: querySelector and
+ * querySelectorAll that also descend into open shadow roots.
+ */
+const DEEP_QUERY = `
+  const __deepQueryAll = (sel, root = document, out = []) => {
+    out.push(...root.querySelectorAll(sel));
+    for (const el of root.querySelectorAll('*')) {
+      if (el.shadowRoot) __deepQueryAll(sel, el.shadowRoot, out);
+    }
+    return out;
+  };
+  const __deepQuery = (sel) => __deepQueryAll(sel)[0] || null;
+`;
+
+// Attached OOPIF sessions per connection, keyed by parent session ('' for
+// the page). Connections are shared between modules, so auto-attach is
+// switched on once per parent and left on: Chrome reports the existing
+// iframes before answering and attaches new ones as they appear. Switching
+// it off would detach sessions another module is still using.
+const attachedFrames = new WeakMap();
+
+async function attachedChildren(session, sessionId) {
+  let state = attachedFrames.get(session);
+  if (!state) {
+    state = new Map();
+    attachedFrames.set(session, state);
+    session.on('Target.attachedToTarget', (params, parentSessionId) => {
+      const entry = state.get(parentSessionId || '');
+      if (entry && params.targetInfo.type === 'iframe') entry.children.add(params.sessionId);
+    });
+    session.on('Target.detachedFromTarget', ({ sessionId: child }) => {
+      for (const entry of state.values()) entry.children.delete(child);
+      state.delete(child);
+    });
+    // Child sessions and auto-attach don't survive a reconnect
+    session.on('disconnected', () => state.clear());
+  }
+
+  const key = sessionId || '';
+  let entry = state.get(key);
+  if (!entry) {
+    entry = { children: new Set() };
+    entry.ready = session.send('Target.setAutoAttach', {
+      autoAttach: true,
+      waitForDebuggerOnStart: false,
+      flatten: true,
+    }, sessionId);
+    state.set(key, entry);
+  }
+  try {
+    await entry.ready;
+  } catch (e) {
+    if (state.get(key) === entry) state.delete(key);
+    throw e;
+  }
+  return [...entry.children];
+}
+
+/**
+ * List every frame reachable from a CDP session, including out-of-process
+ * iframes. Returns [{ frameId, parentId, url, sessionId }] in document order
+ * (parents before children); sessionId is undefined for frames in the page's
+ * own process, parentId for the main frame.
+ * @param {CdpSession} session - Page-level session
+ * @param {string} sessionId - Flat-mode session to list (internal, for recursion)
+ */
+async function listFrames(session, sessionId) {
+  const frames = new Map();
+  const { frameTree } = await session.send('Page.getFrameTree', {}, sessionId);
+  const walk = (node) => {
+    frames.set(node.frame.id, { frameId: node.frame.id, parentId: node.frame.parentId, url: node.frame.url, sessionId });
+    (node.childFrames || []).forEach(walk);
+  };
+  walk(frameTree);
+
+  // OOPIFs only show up as attached targets
+  const attached = await attachedChildren(session, sessionId);
+
+  for (const childSessionId of attached) {
+    try {
+      // The child's own listing replaces the parent's placeholder entry
+      for (const frame of await listFrames(session, childSessionId)) {
+        const placeholder = frames.get(frame.frameId);
+        frames.set(frame.frameId, { ...frame, parentId: frame.parentId || (placeholder && placeholder.parentId) });
+      }
+    } catch {}
+  }
+  return [...frames.values()];
+}
+
+// Execution contexts per connection, keyed by flat session ('' for the page).
+// Runtime is enabled once per session and left on, like auto-attach: the
+// connection is shared, and a Runtime.disable from one caller would destroy
+// the contexts another is about to evaluate in. Enabling replays
+// executionContextCreated for every live context; the events keep the map
+// current after that.
+const runtimeState = new WeakMap();
+
+async function frameContexts(session, sessionId) {
+  let state = runtimeState.get(session);
+  if (!state) {
+    state = new Map();
+    runtimeState.set(session, state);
+    session.on('Runtime.executionContextCreated', ({ context }, sid) => {
+      const entry = state.get(sid || '');
+      const aux = context.auxData || {};
+      if (entry && aux.frameId) {
+        entry.contexts.set(context.id, { frameId: aux.frameId, world: aux.isDefault ? '' : context.name });
+      }
+    });
+    session.on('Runtime.executionContextDestroyed', ({ executionContextId }, sid) => {
+      const entry = state.get(sid || '');
+      if (entry) entry.contexts.delete(executionContextId);
+    });
+    session.on('Runtime.executionContextsCleared', (params, sid) => {
+      const entry = state.get(sid || '');
+      if (entry) entry.contexts.clear();
+    });
+    session.on('Target.detachedFromTarget', ({ sessionId: child }) => state.delete(child));
+    // A reconnected socket starts with Runtime disabled
+    session.on('disconnected', () => state.clear());
+  }
+
+  const key = sessionId || '';
+  let entry = state.get(key);
+  if (!entry) {
+    entry = { contexts: new Map(), creating: new Map() };
+    entry.ready = session.send('Runtime.enable', {}, sessionId);
+    state.set(key, entry);
+  }
+  try {
+    await entry.ready;
+  } catch (e) {
+    if (state.get(key) === entry) state.delete(key);
+    throw e;
+  }
+  return entry;
+}
+
+// Context id of a frame's world ('' = main world), if it is alive
+function findContext(entry, frameId, world) {
+  for (const [id, c] of entry.contexts) {
+    if (c.frameId === frameId && c.world === world) return id;
+  }
+  return undefined;
+}
+
+/**
+ * Find the main-world execution context of a frame, so scripts can see the
+ * page's own globals (callbacks, grecaptcha, ...).
+ * @returns {{ sessionId, contextId }}
+ */
+async function getFrameContext(session, frameId) {
+  const frame = (await listFrames(session)).find(f => f.frameId === frameId);
+  if (!frame) throw new Error(`Frame ${frameId} not found`);
+  const contextId = findContext(await frameContexts(session, frame.sessionId), frameId, '');
+  if (!contextId) throw new Error(`No execution context for frame ${frameId}`);
+  return { sessionId: frame.sessionId, contextId };
+}
+
+/**
+ * Get an isolated world in a frame, created on first use and reused until
+ * the frame's document goes away, so repeated scans don't pile up worlds.
+ * @param {{ frameId, sessionId }} frame - An entry from listFrames
+ * @param {string} worldName
+ * @returns {Promise<number>} The world's execution context id
+ */
+async function getIsolatedWorld(session, frame, worldName) {
+  const entry = await frameContexts(session, frame.sessionId);
+  const existing = findContext(entry, frame.frameId, worldName);
+  if (existing) return existing;
+
+  // Concurrent scans of one frame share a single creation
+  const key = `${frame.frameId}:${worldName}`;
+  if (!entry.creating.has(key)) {
+    entry.creating.set(key, session.send('Page.createIsolatedWorld', {
+      frameId: frame.frameId,
+      worldName,
+    }, frame.sessionId).finally(() => entry.creating.delete(key)));
+  }
+  const { executionContextId } = await entry.creating.get(key);
+  return executionContextId;
+}
+
+/**
+ * Where a frame's viewport sits in the page's viewport, in CSS pixels. Each
+ * hop adds its <iframe>'s content box, which CDP reports relative to the
+ * viewport of that process's local root (the page, or an out-of-process
+ * iframe), so it works for cross-origin frames that page scripts can't see
+ * out of.
+ * @returns {{ x, y }}
+ */
+async function getFrameOffset(session, frameId) {
+  const frames = new Map((await listFrames(session)).map(f => [f.frameId, f]));
+  let x = 0, y = 0;
+  for (let frame = frames.get(frameId); frame && frame.parentId;) {
+    const parent = frames.get(frame.parentId);
+    if (!parent) break;
+    const { backendNodeId } = await session.send('DOM.getFrameOwner', { frameId: frame.frameId }, parent.sessionId);
+    const { model } = await session.send('DOM.getBoxModel', { backendNodeId }, parent.sessionId);
+    x += model.content[0];
+    y += model.content[1];
+    // Continue from the local root of the owner's process
+    frame = parent;
+    while (frame.parentId && frames.has(frame.parentId) && frames.get(frame.parentId).sessionId === parent.sessionId) {
+      frame = frames.get(frame.parentId);
+    }
+  }
+  return { x, y };
+}
+
+module.exports = { DEEP_QUERY, listFrames, getFrameContext, getIsolatedWorld, getFrameOffset };
@@ -0,0 +1,136 @@
+/**
+ * Classic text CAPTCHAs: an <img> of distorted characters next to an input
+ *
+ * detectCaptcha reports these as 'image-text' widgets (providers/image-text.js)
+ * with CSS paths for the image, the answer input and (when the site has one)
+ * the "new image" link. There is no token: the image is captured and shown to
+ * the human, and their answer is typed into the input with real key events.
+ */
+const { openSession } = require('./cdp');
+const { DEEP_QUERY, getFrameContext, getFrameOffset } = require('./frames');
+
+// Scroll the element into view and return its box in its own frame's
+// viewport pixels (captureImage adds the frame offset and the page scroll)
+const RECT_SCRIPT = (selector) => `
+  (() => {
+    ${DEEP_QUERY}
+    const el = __deepQuery(${JSON.stringify(selector)});
+    if (!el) return null;
+    el.scrollIntoView({ block: 'center', inline: 'center' });
+    const r = el.getBoundingClientRect();
+    return { x: r.x, y: r.y, width: r.width, height: r.height, src: el.currentSrc || el.src || '', complete: el.complete !== false };
+  })()
+`;
+
+async function withSession(opts, fn) {
+  const { cdpPort = 18800, targetId, target: criteria, frameId } = opts;
+  const { session, release } = await openSession(cdpPort, targetId ? { targetId } : criteria);
+  try {
+    const frame = frameId ? await getFrameContext(session, frameId) : {};
+    const evaluate = async (expression) => {
+      const { result } = await session.send('Runtime.evaluate', {
+        expression,
+        contextId: frame.contextId,
+        returnByValue: true,
+      }, frame.sessionId);
+      return result.value;
+    };
+    return await fn(session, evaluate);
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Screenshot the CAPTCHA image element.
+ * @param {object} opts - injectToken-style target options plus `image` (CSS path)
+ * @returns {{ data: string, src: string }} base64 PNG, and the image URL it showed
+ */
+async function captureImage(opts) {
+  return withSession(opts, async (session, evaluate) => {
+    const rect = await evaluate(RECT_SCRIPT(opts.image));
+    if (!rect || !rect.width || !rect.height) throw new Error('CAPTCHA image not found on the page');
+    // The clip is in document coordinates: viewport position plus page scroll
+    const frame = opts.frameId ? await getFrameOffset(session, opts.frameId) : { x: 0, y: 0 };
+    const { cssVisualViewport } = await session.send('Page.getLayoutMetrics');
+    const { data } = await session.send('Page.captureScreenshot', {
+      format: 'png',
+      clip: {
+        x: cssVisualViewport.pageX + frame.x + rect.x,
+        y: cssVisualViewport.pageY + frame.y + rect.y,
+        width: rect.width,
+        height: rect.height,
+        scale: 1,
+      },
+    });
+    return { data, src: rect.src };
+  });
+}
+
+/**
+ * Click the site's "new image" control and give the image time to change.
+ * @param {object} opts - injectToken-style target options plus `image`, `refresh`
+ * @returns {boolean} false when the control is missing
+ */
+async function refreshImage(opts) {
+  const { image, refresh, timeout = 5000 } = opts;
+  return withSession(opts, async (session, evaluate) => {
+    const before = await evaluate(RECT_SCRIPT(image));
+    const clicked = await evaluate(`
+      (() => {
+        ${DEEP_QUERY}
+        const el = __deepQuery(${JSON.stringify(refresh)});
+        if (!el) return false;
+        el.click();
+        return true;
+      })()
+    `);
+    if (!clicked) return false;
+
+    // Done when the URL changes, or a reload of the same URL finishes
+    // (no-cache endpoints). Some sites swap the image without either; the
+    // timeout covers those.
+    let reloading = false;
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, 250));
+      const now = await evaluate(RECT_SCRIPT(image)).catch(() => null);
+      if (now && !now.complete) reloading = true;
+      if (now && now.complete && (reloading || !before || now.src !== before.src)) break;
+    }
+    return true;
+  });
+}
+
+/**
+ * Type the answer into the CAPTCHA input, replacing what is there.
+ * @param {object} opts - injectToken-style target options plus `input`, `answer`
+ * @returns {string} 'typed' or 'input-not-found'
+ */
+async function typeAnswer(opts) {
+  const { input, answer } = opts;
+  return withSession(opts, async (session, evaluate) => {
+    const found = await evaluate(`
+      (() => {
+        ${DEEP_QUERY}
+        const el = __deepQuery(${JSON.stringify(input)});
+        if (!el) return false;
+        el.focus();
+        el.select();
+        return true;
+      })()
+    `);
+    if (!found) return 'input-not-found';
+
+    // Backspace clears the selected old value
+    await session.send('Input.dispatchKeyEvent', { type: 'rawKeyDown', key: 'Backspace', code: 'Backspace', windowsVirtualKeyCode: 8 });
+    await session.send('Input.dispatchKeyEvent', { type: 'keyUp', key: 'Backspace', code: 'Backspace', windowsVirtualKeyCode: 8 });
+    for (const ch of answer) {
+      await session.send('Input.dispatchKeyEvent', { type: 'keyDown', key: ch, text: ch });
+      await session.send('Input.dispatchKeyEvent', { type: 'keyUp', key: ch });
+    }
+    return 'typed';
+  });
+}
+
+module.exports = { captureImage, refreshImage, typeAnswer };
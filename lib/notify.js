@@ -0,0 +1,193 @@
+/**
+ * Notifiers — tell the human a CAPTCHA is waiting, and how it ended
+ *
+ * Configured like token sinks, with spec strings (CLI-friendly) or objects:
+ *   'telegram:<chatId>'            Bot API message with a "Solve" button
+ *                                  (bot token from TELEGRAM_BOT_TOKEN)
+ *   'webhook:https://host/hook'    JSON POST per event
+ *   'ntfy:https://ntfy.sh/topic'   ntfy push that opens the link on tap
+ *   'gotify:https://gotify.host'   Gotify message (app token from GOTIFY_TOKEN)
+ *
+ * Object form: { type: 'telegram', botToken, chatId, apiBase },
+ * { type: 'ntfy', url, token }, { type: 'gotify', url, token } or
+ * { type: 'webhook', url, headers }. A plain function `async (event) => detail`
+ * is also accepted as a custom notifier.
+ *
+ * Every notifier gets the same events:
+ *   { event: 'ready', jobId, type, widgetId, pageUrl, relayUrl, linkExpiresAt }
+ *   { event: 'solved' | 'timeout' | 'expired' | 'retry' | 'failed' | 'cancelled', jobId, widgetId,
+ *     verified (solved), resolving (expired: a new link follows) }
+ * Telegram edits the original message on the first follow-up (dropping the
+ * button) and replies to it after that; the push services send a new
+ * message. Tokens are never sent.
+ */
+const { fromSpec } = require('./spec');
+
+const STATUS_TEXT = {
+  solved: 'CAPTCHA solved',
+  timeout: 'CAPTCHA timed out',
+  expired: 'CAPTCHA token expired before use',
+  retry: 'The page did not accept the token, a new link follows',
+  failed: 'CAPTCHA could not be solved',
+  cancelled: 'CAPTCHA request cancelled, the link no longer works',
+};
+
+function hostOf(pageUrl) {
+  try {
+    return new URL(pageUrl).hostname;
+  } catch {
+    return pageUrl || 'unknown page';
+  }
+}
+
+function readyText(e) {
+  return `CAPTCHA needs solving: ${e.type} on ${hostOf(e.pageUrl)}`;
+}
+
+function statusText(e) {
+  if (e.event === 'solved' && e.verified === false) return 'CAPTCHA solved, but the page did not accept the token';
+  if (e.event === 'expired' && e.resolving) return `${STATUS_TEXT.expired}, a new link follows`;
+  return STATUS_TEXT[e.event] || `CAPTCHA ${e.event}`;
+}
+
+async function request(url, opts, what) {
+  const res = await fetch(url, { method: 'POST', signal: AbortSignal.timeout(10000), ...opts });
+  if (!res.ok) throw new Error(`${what} responded ${res.status}`);
+  return res;
+}
+
+function telegramNotifier({
+  botToken = process.env.TELEGRAM_BOT_TOKEN,
+  chatId,
+  apiBase = process.env.TELEGRAM_API_BASE || 'https://api.telegram.org',
+}) {
+  if (!botToken) throw new Error("Notifier 'telegram' needs a bot token (botToken or TELEGRAM_BOT_TOKEN)");
+  // jobId → { id, edited } of the "needs solving" message, for follow-ups
+  const messages = new Map();
+
+  const call = async (method, body) => {
+    const res = await fetch(`${apiBase}/bot${botToken}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chat_id: chatId, ...body }),
+      signal: AbortSignal.timeout(10000),
+    });
+    const data = await res.json().catch(() => ({}));
+    // The request URL holds the bot token; keep it out of the error
+    if (!res.ok || !data.ok) throw new Error(`telegram ${method} failed: ${data.description || res.status}`);
+    return data.result;
+  };
+
+  return async (e) => {
+    if (e.event === 'ready') {
+      const msg = await call('sendMessage', {
+        text: readyText(e),
+        reply_markup: { inline_keyboard: [[{ text: 'Solve', url: e.relayUrl }]] },
+      });
+      messages.set(e.jobId, { id: msg.message_id, edited: false });
+      return `message ${msg.message_id}`;
+    }
+
+    const original = messages.get(e.jobId);
+    if (original && !original.edited) {
+      // No reply_markup: the Solve button goes away with the edit
+      await call('editMessageText', { message_id: original.id, text: statusText(e) });
+      original.edited = true;
+      return `edited ${original.id}`;
+    }
+    // Later news (e.g. the solved token expired) goes out as a reply
+    const msg = await call('sendMessage', {
+      text: statusText(e),
+      ...(original ? { reply_parameters: { message_id: original.id } } : {}),
+    });
+    return `message ${msg.message_id}`;
+  };
+}
+
+function webhookNotifier({ url, headers = {} }) {
+  return async (e) => {
+    await request(url, {
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(e),
+    }, 'webhook');
+    return url;
+  };
+}
+
+function ntfyNotifier({ url, token = process.env.NTFY_TOKEN }) {
+  return async (e) => {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (e.event === 'ready') {
+      headers.Title = 'CAPTCHA needs solving';
+      headers.Priority = 'high';
+      headers.Click = e.relayUrl;
+      headers.Actions = `view, Solve, ${e.relayUrl}, clear=true`;
+    } else {
+      headers.Title = statusText(e);
+    }
+    await request(url, {
+      headers,
+      body: e.event === 'ready' ? readyText(e) : statusText(e),
+    }, 'ntfy');
+    return url;
+  };
+}
+
+function gotifyNotifier({ url, token = process.env.GOTIFY_TOKEN }) {
+  if (!token) throw new Error("Notifier 'gotify' needs an app token (token or GOTIFY_TOKEN)");
+  const endpoint = `${url.replace(/\/+$/, '')}/message`;
+  return async (e) => {
+    const ready = e.event === 'ready';
+    const res = await request(endpoint, {
+      headers: { 'Content-Type': 'application/json', 'X-Gotify-Key': token },
+      body: JSON.stringify({
+        title: ready ? 'CAPTCHA needs solving' : statusText(e),
+        message: ready ? `${readyText(e)}\n${e.relayUrl}` : statusText(e),
+        priority: ready ? 8 : 4,
+        ...(ready ? { extras: { 'client::notification': { click: { url: e.relayUrl } } } } : {}),
+      }),
+    }, 'gotify');
+    const { id } = await res.json().catch(() => ({}));
+    return id ? `message ${id}` : endpoint;
+  };
+}
+
+const NOTIFIER_TYPES = {
+  telegram: telegramNotifier,
+  webhook: webhookNotifier,
+  ntfy: ntfyNotifier,
+  gotify: gotifyNotifier,
+};
+
+// Which option the `type:<arg>` part of a spec string fills in
+const SPEC_ARG = { telegram: 'chatId', webhook: 'url', ntfy: 'url', gotify: 'url' };
+
+/**
+ * Turn a notifier spec (string, object or function) into { name, send }.
+ * Returns null for 'none'.
+ */
+function createNotifier(spec) {
+  const notifier = fromSpec(spec, { label: 'notifier', types: NOTIFIER_TYPES, args: SPEC_ARG });
+  return notifier && { name: notifier.name, send: notifier.handler };
+}
+
+function createNotifiers(specs = []) {
+  return [].concat(specs).map(createNotifier).filter(Boolean);
+}
+
+/**
+ * Send an event to every notifier. Never throws; returns one
+ * { notifier, ok, detail | error } entry per notifier.
+ */
+async function notifyAll(notifiers, event) {
+  return Promise.all(notifiers.map(async ({ name, send }) => {
+    try {
+      return { notifier: name, ok: true, detail: await send(event) };
+    } catch (e) {
+      return { notifier: name, ok: false, error: e.message };
+    }
+  }));
+}
+
+module.exports = { createNotifiers, notifyAll };
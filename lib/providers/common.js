@@ -0,0 +1,19 @@
+/**
+ * Helpers shared by the built-in providers
+ */
+const path = require('path');
+
+const TEMPLATES = path.join(__dirname, '..', 'templates');
+
+// Built-in relay pages are named after the type: lib/templates/<type>.html
+const builtinTemplate = (type) => path.join(TEMPLATES, `${type}.html`);
+
+/**
+ * A string that could be a provider token: printable, no whitespace, within
+ * the given length bounds. Providers tighten this with their own checks.
+ */
+function plausibleToken(token, min = 20, max = 16384) {
+  return typeof token === 'string' && token.length >= min && token.length <= max && /^[\x21-\x7e]+$/.test(token);
+}
+
+module.exports = { TEMPLATES, builtinTemplate, plausibleToken };
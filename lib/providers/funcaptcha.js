@@ -0,0 +1,154 @@
+/**
+ * Arkose Labs (FunCaptcha)
+ *
+ * The public key shows up in the api.js URL (/v2/<key>/api.js), on legacy
+ * <div id="FunCaptcha" data-pkey> containers, in enforcement iframe URLs and
+ * inside the fc-token field's value (...|pk=<key>|surl=...). The service URL
+ * (surl) matters for keys served from a customer subdomain.
+ */
+const { DEEP_QUERY, getFrameContext } = require('../frames');
+const { builtinTemplate, plausibleToken } = require('./common');
+
+const FIELDS = 'input[name="fc-token"], #FunCaptcha-Token, #verification-token';
+
+// Page-side (serialized)
+function detect(ctx) {
+  const KEY_RE = /\/v2\/([0-9A-Fa-f-]{36})\//;
+  const PK_RE = /(?:^|[?&|])pk=([0-9A-Fa-f-]{36})/;
+  const SURL_RE = /(?:^|[?&|])surl=([^|&]+)/;
+  // Same as the module-level list; serialized code can't see that one
+  const FIELDS = 'input[name="fc-token"], #FunCaptcha-Token, #verification-token';
+  const decode = (s) => {
+    try { return decodeURIComponent(s); } catch { return s; }
+  };
+  const found = new Map(); // public key → { container, field, surl }
+  const note = (key, info) => {
+    if (!key) return;
+    const w = found.get(key) || {};
+    for (const [k, v] of Object.entries(info)) if (v && !w[k]) w[k] = v;
+    found.set(key, w);
+  };
+
+  // Scripts first: their origin is the service URL. Resource timing also
+  // covers api.js when the page loaded it and removed the tag again.
+  const urls = [
+    ...ctx.deepQueryAll('script[src]').map(sc => sc.src),
+    ...performance.getEntriesByType('resource').map(e => e.name),
+  ];
+  for (const url of urls) {
+    const m = url.match(KEY_RE);
+    if (m && /arkoselabs|funcaptcha/.test(url)) note(m[1], { surl: new URL(url).origin });
+  }
+  for (const el of ctx.deepQueryAll('[data-pkey]')) note(el.dataset.pkey, { container: el, surl: el.dataset.surl });
+  for (const f of ctx.deepQueryAll('iframe[src*="arkoselabs"], iframe[src*="funcaptcha"]')) {
+    const m = f.src.match(KEY_RE) || decode(f.src).match(PK_RE);
+    if (m) note(m[1], { container: f.closest('#FunCaptcha, [data-pkey]') || f.parentElement });
+  }
+  const fields = ctx.deepQueryAll(FIELDS);
+  for (const field of fields) {
+    const value = decode(field.value || '');
+    const m = value.match(PK_RE);
+    const s = value.match(SURL_RE);
+    note(m && m[1], { field, surl: s && s[1] });
+  }
+  // An empty field next to the only key on the page belongs to it
+  if (found.size === 1 && fields.length) note([...found.keys()][0], { field: fields[0] });
+
+  for (const [key, w] of found) {
+    const anchor = w.container || w.field;
+    ctx.push({
+      type: 'funcaptcha',
+      sitekey: key,
+      action: null,
+      params: w.surl ? { surl: w.surl } : {},
+      widgetId: null,
+      container: w.container ? ctx.cssPath(w.container) : null,
+      callback: (w.container && w.container.dataset.callback) || null,
+      expiredCallback: null,
+      responseField: w.field ? ctx.cssPath(w.field) : null,
+      form: anchor ? ctx.describeForm(anchor) : null,
+    });
+  }
+}
+
+/**
+ * Main-world hook: the page hands api.js the name of its setup function
+ * (data-callback), which receives the enforcement object and configures
+ * onCompleted. Wrapping that function catches enforcements set up from now
+ * on (lazily loaded api.js), so injection can call their onCompleted.
+ */
+const HOOK_SCRIPT = `
+(() => {
+  const state = window.__captchaRelayArkose = window.__captchaRelayArkose || { completed: [] };
+  for (const sc of document.querySelectorAll('script[src*="arkoselabs"][data-callback], script[src*="funcaptcha"][data-callback]')) {
+    const name = sc.dataset.callback;
+    const setup = window[name];
+    if (typeof setup !== 'function' || setup.__captchaRelay) continue;
+    window[name] = function (enforcement) {
+      if (enforcement && typeof enforcement.setConfig === 'function') {
+        const setConfig = enforcement.setConfig;
+        enforcement.setConfig = function (config) {
+          if (config && typeof config.onCompleted === 'function') state.completed.push(config.onCompleted);
+          return setConfig.apply(this, arguments);
+        };
+      }
+      return setup.apply(this, arguments);
+    };
+    window[name].__captchaRelay = true;
+  }
+  return state.completed.length;
+})()
+`;
+
+async function afterDetect(session, widgets) {
+  for (const frameId of new Set(widgets.map(w => w.frameId))) {
+    try {
+      const { sessionId, contextId } = await getFrameContext(session, frameId);
+      await session.send('Runtime.evaluate', { expression: HOOK_SCRIPT, contextId }, sessionId);
+    } catch {
+      // No main world (frame gone); injection still fills the fields
+    }
+  }
+}
+
+const inject = (token) => `
+    (() => {
+      ${DEEP_QUERY}
+      const token = ${JSON.stringify(token)};
+      const fields = __deepQueryAll(${JSON.stringify(FIELDS)});
+      fields.forEach(f => { f.value = token; });
+
+      // Legacy container callback: <div id="FunCaptcha" data-callback="...">
+      try {
+        const widget = __deepQuery('#FunCaptcha[data-callback], [data-pkey][data-callback]');
+        if (widget) {
+          window[widget.dataset.callback](token);
+          return 'callback';
+        }
+      } catch(e) {}
+
+      // onCompleted handlers recorded by the hook
+      const hook = window.__captchaRelayArkose;
+      if (hook && hook.completed.length) {
+        hook.completed.forEach(cb => { try { cb({ token }); } catch(e) {} });
+        return 'on-completed';
+      }
+
+      return fields.length ? 'field-only' : 'widget-not-found';
+    })()
+  `;
+
+module.exports = {
+  name: 'funcaptcha',
+  types: ['funcaptcha'],
+  detect,
+  vendorFrame: /^https:\/\/[a-z0-9.-]*(arkoselabs|funcaptcha)\.com\//,
+  hints: ['#FunCaptcha', '[data-pkey]', 'iframe[src*="arkoselabs"]', 'iframe[src*="funcaptcha"]', 'script[src*="arkoselabs"]', 'input[name="fc-token"]'],
+  template: builtinTemplate,
+  inject,
+  responseField: () => FIELDS,
+  afterDetect,
+  // <session>.<id>|r=<region>|meta=...|pk=<key>|...
+  validateToken: (token) => plausibleToken(token, 20) && token.includes('|'),
+  tokenTtl: 2 * 60 * 1000,
+};
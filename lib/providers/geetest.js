@@ -0,0 +1,169 @@
+/**
+ * GeeTest v3 (gt + one-time challenge) and v4 (captcha_id)
+ *
+ * The widget is configured from page JS (initGeetest / initGeetest4), so the
+ * parameters are read from the JSONP requests it makes: api.geetest.com
+ * get.php?gt=&challenge= for v3, gcaptcha4.geetest.com load?captcha_id= for
+ * v4. Script tags are checked as well as resource timing, since GeeTest
+ * removes its JSONP tags once loaded.
+ *
+ * The result is an object, not a string: the validate/seccode triplet for v3,
+ * lot_number/captcha_output/pass_token/gen_time for v4.
+ */
+const { DEEP_QUERY, getFrameContext } = require('../frames');
+const { builtinTemplate, plausibleToken } = require('./common');
+
+const RESULT_FIELDS = {
+  'geetest-v3': ['geetest_challenge', 'geetest_validate', 'geetest_seccode'],
+  'geetest-v4': ['lot_number', 'captcha_output', 'pass_token', 'gen_time'],
+};
+
+// Page-side (serialized)
+function detect(ctx) {
+  const urls = [
+    ...ctx.deepQueryAll('script[src*="geetest"]').map(sc => sc.src),
+    ...performance.getEntriesByType('resource').map(e => e.name).filter(u => u.includes('geetest')),
+  ];
+  const query = (url) => new URL(url, location.href).searchParams;
+  // Last request wins: v3 pages fetch a fresh challenge after a failure
+  const last = (re) => urls.filter(u => re.test(u)).pop();
+  const widgetOf = (selector, type, sitekey, params) => {
+    const holder = ctx.deepQuery(selector);
+    const container = holder && (holder.parentElement || holder);
+    ctx.push({
+      type,
+      sitekey,
+      action: null,
+      params,
+      widgetId: null,
+      container: container ? ctx.cssPath(container) : null,
+      callback: null,
+      expiredCallback: null,
+      responseField: null,
+      form: container ? ctx.describeForm(container) : null,
+    });
+  };
+
+  const v3 = last(/\/get\.php\?/);
+  if (v3) {
+    const q = query(v3);
+    const challenge = q.get('challenge');
+    if (q.get('gt') && challenge) {
+      const params = { challenge, apiServer: new URL(v3).host };
+      if (q.get('lang')) params.lang = q.get('lang');
+      widgetOf('.geetest_holder', 'geetest-v3', q.get('gt'), params);
+    }
+  }
+
+  const v4 = last(/\/load\?.*captcha_id=/);
+  const captchaId = v4 ? query(v4).get('captcha_id') : (ctx.deepQuery('[data-captcha-id]') || { dataset: {} }).dataset.captchaId;
+  if (captchaId) {
+    const params = {};
+    if (v4 && query(v4).get('risk_type')) params.riskType = query(v4).get('risk_type');
+    if (v4 && query(v4).get('lang')) params.language = query(v4).get('lang');
+    widgetOf('.geetest_captcha', 'geetest-v4', captchaId, params);
+  }
+}
+
+/**
+ * Main-world hook: wraps initGeetest / initGeetest4 so that widgets created
+ * from now on (lazy init, or a fresh v3 challenge after a failure) are
+ * recorded. Their onSuccess handlers are kept, and getValidate() returns the
+ * relayed result once injection sets it.
+ */
+const HOOK_SCRIPT = `
+(() => {
+  const state = window.__captchaRelayGeetest = window.__captchaRelayGeetest || { widgets: [] };
+  const wrap = (name) => {
+    const init = window[name];
+    if (typeof init !== 'function' || init.__captchaRelay) return;
+    const hooked = function (config, ready) {
+      return init.call(this, config, function (obj) {
+        const w = { result: null, success: [] };
+        state.widgets.push(w);
+        const onSuccess = obj.onSuccess;
+        const getValidate = obj.getValidate;
+        obj.onSuccess = function (cb) {
+          w.success.push(cb);
+          return onSuccess.apply(this, arguments);
+        };
+        obj.getValidate = function () {
+          return w.result || getValidate.apply(this, arguments);
+        };
+        return typeof ready === 'function' ? ready.apply(this, arguments) : undefined;
+      });
+    };
+    hooked.__captchaRelay = true;
+    window[name] = hooked;
+  };
+  wrap('initGeetest');
+  wrap('initGeetest4');
+  return state.widgets.length;
+})()
+`;
+
+async function afterDetect(session, widgets) {
+  for (const frameId of new Set(widgets.map(w => w.frameId))) {
+    try {
+      const { sessionId, contextId } = await getFrameContext(session, frameId);
+      await session.send('Runtime.evaluate', { expression: HOOK_SCRIPT, contextId }, sessionId);
+    } catch {
+      // No main world (frame gone); injection still fills the fields
+    }
+  }
+}
+
+// Fills inputs named after the result keys (v3's appendTo() form fields),
+// then hands the result to hooked widgets and runs their onSuccess handlers
+const inject = (result, widgetId, type) => `
+    (() => {
+      ${DEEP_QUERY}
+      const result = ${JSON.stringify(result)};
+      let filled = 0;
+      for (const name of ${JSON.stringify(RESULT_FIELDS[type])}) {
+        for (const field of __deepQueryAll('input[name="' + name + '"]')) {
+          field.value = result[name];
+          filled++;
+        }
+      }
+
+      let called = 0;
+      const hook = window.__captchaRelayGeetest;
+      for (const w of hook ? hook.widgets : []) {
+        w.result = result;
+        for (const cb of w.success) {
+          try { cb(); called++; } catch(e) {}
+        }
+      }
+
+      if (called) return filled ? 'fields+success-callback' : 'success-callback';
+      return filled ? 'fields' : 'widget-not-found';
+    })()
+  `;
+
+/**
+ * A complete result for the type and nothing else: each field becomes a form
+ * value, so unknown keys are refused rather than injected.
+ */
+function validateToken(result, type) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) return false;
+  const fields = RESULT_FIELDS[type];
+  // v4 results may also echo the captcha_id
+  const allowed = type === 'geetest-v4' ? [...fields, 'captcha_id'] : fields;
+  return fields.every(k => plausibleToken(result[k], 1, 4096)) &&
+    Object.keys(result).every(k => allowed.includes(k) && plausibleToken(result[k], 1, 4096));
+}
+
+module.exports = {
+  name: 'geetest',
+  types: ['geetest-v3', 'geetest-v4'],
+  detect,
+  hints: ['.geetest_holder', '.geetest_captcha', '[data-captcha-id]', 'script[src*="geetest"]'],
+  template: builtinTemplate,
+  inject,
+  // v3 forms carry the triplet as inputs; v4 pages usually post it from JS
+  responseField: (widgetId, type) => `input[name="${RESULT_FIELDS[type][1]}"]`,
+  afterDetect,
+  validateToken,
+  tokenTtl: 2 * 60 * 1000,
+};
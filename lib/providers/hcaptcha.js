@@ -0,0 +1,99 @@
+/**
+ * hCaptcha (including Enterprise rqdata and custom endpoints)
+ */
+const { DEEP_QUERY } = require('../frames');
+const { builtinTemplate, plausibleToken } = require('./common');
+
+const FIELD = 'h-captcha-response';
+
+// Page-side (serialized)
+function detect(ctx) {
+  const script = ctx.deepQuery('script[src*="hcaptcha.com/1/api.js"]');
+  ctx.scan({
+    type: 'hcaptcha',
+    container: '.h-captcha',
+    // The iframe carries data-hcaptcha-widget-id
+    iframe: 'iframe[src*="hcaptcha.com"]',
+    field: 'textarea[name="h-captcha-response"]',
+    keyRe: /sitekey=([^&]+)/,
+    // Enterprise rqdata must be reproduced or the token is rejected
+    paramsOf: (container, iframe) => ({
+      ...ctx.urlParams(iframe && iframe.src, ['theme', 'size', 'hl']),
+      ...(script ? ctx.urlParams(script.src, ['hl', 'endpoint', 'assethost', 'imghost', 'reportapi']) : {}),
+      ...ctx.pickData(container, ['theme', 'size', 'rqdata']),
+    }),
+    widgetIdOf: (field, iframe) => {
+      if (iframe && iframe.dataset.hcaptchaWidgetId) return iframe.dataset.hcaptchaWidgetId;
+      const m = field && field.id.match(/^h-captcha-response-(.+)$/);
+      return m ? m[1] : null;
+    },
+  });
+}
+
+const inject = (token, widgetId) => `
+    (() => {
+      ${DEEP_QUERY}
+      const wid = ${JSON.stringify(widgetId)};
+      const ta = wid === null
+        ? __deepQuery('[name="h-captcha-response"]') || __deepQuery('textarea[name="h-captcha-response"]')
+        : __deepQuery('#h-captcha-response-' + CSS.escape(wid));
+      if (wid !== null && !ta) return 'widget-not-found';
+      if (ta) ta.value = ${JSON.stringify(token)};
+
+      // Set iframe response too
+      const iframes = wid === null
+        ? __deepQueryAll('iframe[data-hcaptcha-response]')
+        : __deepQueryAll('iframe[data-hcaptcha-widget-id="' + CSS.escape(wid) + '"]');
+      iframes.forEach(f => f.setAttribute('data-hcaptcha-response', ${JSON.stringify(token)}));
+
+      // Call hcaptcha callback
+      try {
+        const widget = wid === null ? __deepQuery('.h-captcha') : ta.closest('.h-captcha');
+        if (widget && widget.dataset.callback) {
+          window[widget.dataset.callback](${JSON.stringify(token)});
+          return 'callback';
+        }
+      } catch(e) {}
+
+      // Try hcaptcha internal
+      try {
+        if (typeof hcaptcha !== 'undefined') {
+          // Trigger via internal event system
+          const evt = new CustomEvent('hcaptcha-success', { detail: { token: ${JSON.stringify(token)} } });
+          window.dispatchEvent(evt);
+          return 'event-dispatched';
+        }
+      } catch(e) {}
+
+      return 'textarea-only';
+    })()
+  `;
+
+function responseField(widgetId) {
+  if (widgetId === null || widgetId === undefined) return `[name="${FIELD}"]`;
+  return `[id=${JSON.stringify(`${FIELD}-${widgetId}`)}]`;
+}
+
+const getResponse = (widgetId) => `
+  (() => {
+    if (typeof hcaptcha === 'undefined') return null;
+    const wid = ${JSON.stringify(widgetId)};
+    return { api: 'hcaptcha', response: wid === null ? hcaptcha.getResponse() : hcaptcha.getResponse(wid) };
+  })()
+`;
+
+module.exports = {
+  name: 'hcaptcha',
+  types: ['hcaptcha'],
+  detect,
+  scriptSelector: 'script[src*="hcaptcha"]',
+  vendorFrame: /^https:\/\/[a-z0-9.-]*hcaptcha\.com\//,
+  hints: ['.h-captcha', 'iframe[src*="hcaptcha"]', 'script[src*="hcaptcha"]'],
+  template: builtinTemplate,
+  inject,
+  responseField,
+  getResponse,
+  // P1_eyJ... (JWT-like); test keys answer with a 36-character UUID
+  validateToken: (token) => plausibleToken(token, 20),
+  tokenTtl: 2 * 60 * 1000,
+};
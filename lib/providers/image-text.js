@@ -0,0 +1,58 @@
+/**
+ * Classic text CAPTCHAs: an <img> of distorted characters next to an input
+ *
+ * There is no sitekey and no token. Detection reports CSS paths for the
+ * image, the answer input and (when the site has one) the "new image"
+ * control; lib/imagetext.js captures the image and types the human's answer.
+ */
+const { builtinTemplate } = require('./common');
+
+// Page-side (serialized). Only runs when no token widget was found.
+function detect(ctx) {
+  const CAPTCHA_RE = /captcha/i;
+  const attrs = (el) => [el.id, el.getAttribute('class'), el.getAttribute('name'), el.getAttribute('alt'),
+    el.getAttribute('title'), el.getAttribute('aria-label'), el.getAttribute('placeholder')].join(' ');
+  const shown = (el) => el.offsetWidth > 0 && el.offsetHeight > 0;
+
+  const img = ctx.deepQueryAll('img').find(i => shown(i) &&
+    !/recaptcha|hcaptcha|turnstile/i.test(i.src) && CAPTCHA_RE.test(i.src + ' ' + attrs(i)));
+  if (!img) return;
+  const scope = img.closest('form') || document;
+  const inputs = [...scope.querySelectorAll('input:not([type]), input[type="text"], input[type="tel"], input[type="number"]')]
+    .filter(shown);
+  // A field named for the CAPTCHA, else the first text field after the image
+  const input = inputs.find(i => /captcha|code|security|verif|characters/i.test(attrs(i))) ||
+    inputs.find(i => img.compareDocumentPosition(i) & Node.DOCUMENT_POSITION_FOLLOWING);
+  if (!input) return;
+  const near = img.closest('form') || (img.parentElement && img.parentElement.parentElement) || document;
+  const refresh = [...near.querySelectorAll('a, button, img, span, [role="button"]')].find(el => el !== img &&
+    /refresh|reload|new (image|code|one)|another|change|redraw/i.test(el.textContent.trim().slice(0, 40) + ' ' + attrs(el) + ' ' + (el.getAttribute('src') || '')));
+  ctx.push({
+    type: 'image-text',
+    sitekey: null,
+    action: null,
+    params: {},
+    widgetId: null,
+    container: ctx.cssPath(img),
+    image: ctx.cssPath(img),
+    input: ctx.cssPath(input),
+    refresh: refresh ? ctx.cssPath(refresh) : null,
+    callback: null,
+    expiredCallback: null,
+    responseField: ctx.cssPath(input),
+    form: ctx.describeForm(img),
+  });
+}
+
+module.exports = {
+  name: 'image-text',
+  types: ['image-text'],
+  detect,
+  fallback: true,
+  hints: ['img[src*="captcha" i]', 'img[id*="captcha" i]', 'img[class*="captcha" i]'],
+  template: builtinTemplate,
+  // The answer is typed, not injected (lib/imagetext.js)
+  responseField: () => null,
+  // Answers are checked by the relay job itself (short, non-empty)
+  validateToken: (answer) => typeof answer === 'string' && answer.trim().length > 0 && answer.length <= 100,
+};
@@ -0,0 +1,114 @@
+/**
+ * CAPTCHA provider registry
+ *
+ * A provider is one module that knows everything about a CAPTCHA family:
+ *
+ *   name           'hcaptcha'
+ *   types          CAPTCHA types it handles, e.g. ['hcaptcha']
+ *   detect         Page-side detector, a function (ctx) => void run in every
+ *                  frame; it is serialized, so it may only use ctx and page
+ *                  globals (see DETECTION_CONTEXT in detect.js). Optional:
+ *                  without one the type can still be relayed and injected
+ *   fallback       Only run detect when no other provider found a widget
+ *   scriptSelector Script tag that identifies the family, used to type a bare
+ *                  [data-sitekey] element (optional)
+ *   genericType    Type given to such an element (default: the first of types)
+ *   vendorFrame    RegExp of the vendor's own iframe URLs; detection skips
+ *                  them, the widget belongs to the embedding frame (optional)
+ *   hints          Selectors of markup that suggests the widget is appearing
+ *                  (watch mode's observer, optional)
+ *   template       Relay page: a file path, or (type) => file path
+ *   inject         (token, widgetId, type) => page expression returning the
+ *                  injection method ('widget-not-found' when absent)
+ *   responseField  (widgetId, type) => CSS selector of the hidden field, or null
+ *   getResponse    (widgetId, type) => page expression evaluating to
+ *                  { api, response } from the provider's JS API, or null
+ *   isExpired      (widgetId, type) => page expression, true once the widget
+ *                  reports the token expired (optional)
+ *   afterDetect    async (session, widgets) => void, e.g. install page hooks
+ *                  (optional)
+ *   hookPage       async (session, widget) => void, page hooks a solve needs
+ *                  while it waits for the token; run before the relay job
+ *                  opens, for solves that inject (optional)
+ *   unhookPage     async (session, widget) => void, undoes hookPage when the
+ *                  solve ends, however it ends (optional)
+ *   validateToken  (token, type) => boolean; relay submissions failing it get
+ *                  a 400. Tokens are strings unless the provider's relay page
+ *                  posts an object (GeeTest)
+ *   tokenTtl       How long a token stays valid after it is issued, in ms
+ *
+ * Only name, types and template are required. Built-ins live next to this
+ * file. Extra providers are passed per call as
+ * `providers: [...]` (solveCaptcha, detectCaptcha, injectToken, ...) or
+ * added process-wide with registerProvider(); either way they take
+ * precedence over built-ins handling the same type.
+ */
+const { plausibleToken } = require('./common');
+
+const BUILTIN = [
+  require('./recaptcha'),
+  require('./hcaptcha'),
+  require('./turnstile'),
+  require('./funcaptcha'),
+  require('./geetest'),
+  require('./image-text'),
+];
+
+const registered = [];
+
+const REQUIRED = ['name', 'types', 'template'];
+
+function checkProvider(provider) {
+  const missing = REQUIRED.filter(k => !provider[k]);
+  if (missing.length) throw new Error(`Provider ${provider.name || '(unnamed)'} is missing ${missing.join(', ')}`);
+  if (!Array.isArray(provider.types) || !provider.types.length) throw new Error(`Provider ${provider.name} has no types`);
+  return provider;
+}
+
+/**
+ * Add a provider for every later call in this process.
+ */
+function registerProvider(provider) {
+  registered.unshift(checkProvider(provider));
+}
+
+/**
+ * Providers in lookup order: the call's own, registered ones, built-ins.
+ * @param {object[]} extra - providers passed to this call
+ */
+function listProviders(extra = []) {
+  return [...extra.map(checkProvider), ...registered, ...BUILTIN];
+}
+
+/**
+ * The provider handling a CAPTCHA type.
+ * @throws when no provider knows the type
+ */
+function findProvider(type, extra) {
+  const all = listProviders(extra);
+  const provider = all.find(p => p.types.includes(type));
+  if (!provider) {
+    const known = [...new Set(all.flatMap(p => p.types))].join(', ');
+    throw new Error(`No provider for CAPTCHA type "${type}" (known: ${known})`);
+  }
+  return provider;
+}
+
+/**
+ * Relay page template path for a type.
+ */
+function templateFor(type, extra) {
+  const { template } = findProvider(type, extra);
+  return typeof template === 'function' ? template(type) : template;
+}
+
+/**
+ * Issue and expiry timestamps for a fresh token.
+ * @returns {{ issuedAt, expiresAt }} ms epoch timestamps
+ */
+function tokenTimes(type, issuedAt = Date.now(), extra) {
+  const { tokenTtl = 2 * 60 * 1000 } = findProvider(type, extra);
+  return { issuedAt, expiresAt: issuedAt + tokenTtl };
+}
+
+module.exports = { registerProvider, listProviders, findProvider, templateFor, tokenTimes, plausibleToken };
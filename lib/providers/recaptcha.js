@@ -0,0 +1,255 @@
+/**
+ * Google reCAPTCHA: v2 checkbox and invisible, v3, and the Enterprise flavours
+ */
+const { DEEP_QUERY, getFrameContext } = require('../frames');
+const { builtinTemplate, plausibleToken } = require('./common');
+
+const TYPES = [
+  'recaptcha-v2',
+  'recaptcha-v2-invisible',
+  'recaptcha-v3',
+  'recaptcha-enterprise',
+  'recaptcha-enterprise-invisible',
+  'recaptcha-enterprise-v3',
+];
+
+const FIELD = 'g-recaptcha-response';
+
+// Page-side (serialized): widgets with a .g-recaptcha container or an anchor
+// iframe, plus v3 keys loaded through api.js?render=<sitekey> without a badge
+function detect(ctx) {
+  // Flavour: enterprise.js vs api.js, and v3 render keys (as opposed to
+  // render=explicit/onload)
+  const scripts = ctx.deepQueryAll('script[src*="recaptcha/api.js"], script[src*="recaptcha/enterprise.js"]');
+  const enterpriseJs = scripts.some(sc => sc.src.includes('enterprise.js'));
+  const v3Keys = scripts.map(sc => {
+    const m = sc.src.match(/[?&]render=([^&]+)/);
+    return m && !['explicit', 'onload'].includes(m[1]) ? decodeURIComponent(m[1]) : null;
+  }).filter(Boolean);
+
+  // v3 actions as written in inline scripts: execute('<key>', { action: 'login' })
+  const v3Actions = [];
+  for (const sc of ctx.deepQueryAll('script:not([src])')) {
+    for (const m of sc.textContent.matchAll(/execute\(([^,)]*),\s*\{[^}]*action\s*:\s*['"]([^'"]+)['"]/g)) {
+      v3Actions.push({ key: m[1].replace(/['"\s]/g, ''), action: m[2] });
+    }
+  }
+  const actionFor = (key) => (v3Actions.find(a => a.key === key) || v3Actions[0] || {}).action || null;
+  const scriptParams = () => (scripts[0] ? ctx.urlParams(scripts[0].src, ['hl']) : {});
+
+  const typeOf = (container, iframe, sitekey) => {
+    const src = iframe ? iframe.src : '';
+    const enterprise = enterpriseJs || src.includes('/recaptcha/enterprise/');
+    const prefix = enterprise ? 'recaptcha-enterprise' : 'recaptcha';
+    if (v3Keys.includes(sitekey)) return prefix + '-v3';
+    const invisible = (container && container.dataset.size === 'invisible') || /[?&]size=invisible/.test(src);
+    if (invisible) return prefix + (enterprise ? '-invisible' : '-v2-invisible');
+    return enterprise ? prefix : 'recaptcha-v2';
+  };
+
+  ctx.scan({
+    type: typeOf,
+    container: '.g-recaptcha',
+    iframe: 'iframe[src*="recaptcha/api2/anchor"], iframe[src*="recaptcha/enterprise/anchor"]',
+    // Textarea ids are g-recaptcha-response, -1, -2, ... (v3 badges use 100000+)
+    field: 'textarea[name="g-recaptcha-response"]',
+    keyRe: /[?&]k=([^&]+)/,
+    // hl is a script parameter; theme/size/s (stoken) live on the container
+    // and are mirrored in the anchor URL
+    paramsOf: (container, iframe) => ({
+      ...ctx.urlParams(iframe && iframe.src, ['theme', 'size', 'hl']),
+      ...scriptParams(),
+      ...ctx.pickData(container, ['theme', 'size', 'badge', 's', 'action']),
+    }),
+    widgetIdOf: (field) => {
+      const m = field && field.id.match(/^g-recaptcha-response(?:-(\d+))?$/);
+      return m ? Number(m[1] || 0) : null;
+    },
+    actionOf: (type, sitekey) => (type.endsWith('-v3') ? actionFor(sitekey) : null),
+  });
+
+  // v3 key loaded but badge not rendered (yet, or hidden via CSS)
+  for (const key of v3Keys) {
+    if (ctx.widgets.some(w => w.sitekey === key)) continue;
+    ctx.push({ type: typeOf(null, null, key), sitekey: key, action: actionFor(key), params: scriptParams(), widgetId: null, container: null, callback: null, expiredCallback: null, responseField: null, form: null });
+  }
+}
+
+/**
+ * Main-world hook for invisible/v3 reCAPTCHA, installed while a solve waits
+ * for its token. Wraps grecaptcha.execute (and grecaptcha.enterprise.execute)
+ * so that calls are held as pending promises; the injection script resolves
+ * them with the human's token via window.__captchaRelayRecaptcha.pending.
+ * Each solving widget counts as one user of the hook.
+ */
+const HOOK_SCRIPT = `
+(() => {
+  const state = window.__captchaRelayRecaptcha = window.__captchaRelayRecaptcha || { pending: [], hooked: [], users: 0 };
+  state.users++;
+  const wrap = (api) => {
+    if (!api || typeof api.execute !== 'function' || api.execute.__captchaRelay) return;
+    const original = api.execute;
+    const hooked = function (keyOrWidget, opts) {
+      return new Promise((resolve, reject) => state.pending.push({
+        widgetId: typeof keyOrWidget === 'number' ? keyOrWidget : null,
+        resolve,
+        // A call still held when the hook is removed goes to the real execute()
+        passOn: () => Promise.resolve(original.call(api, keyOrWidget, opts)).then(resolve, reject),
+      }));
+    };
+    hooked.__captchaRelay = true;
+    api.execute = hooked;
+    state.hooked.push({ api, original });
+  };
+  if (typeof grecaptcha !== 'undefined') {
+    wrap(grecaptcha);
+    wrap(grecaptcha.enterprise);
+  }
+  return state.users;
+})()
+`;
+
+// The last user out puts the page's own execute() back
+const UNHOOK_SCRIPT = `
+(() => {
+  const state = window.__captchaRelayRecaptcha;
+  if (!state || --state.users > 0) return false;
+  for (const { api, original } of state.hooked) api.execute = original;
+  delete window.__captchaRelayRecaptcha;
+  for (const p of state.pending) p.passOn();
+  return true;
+})()
+`;
+
+const HOOKED_TYPE_RE = /^recaptcha-.*(invisible|v3)$/;
+
+async function runInWidgetFrame(session, widget, expression) {
+  if (!HOOKED_TYPE_RE.test(widget.type)) return;
+  try {
+    const { sessionId, contextId } = widget.frameId ? await getFrameContext(session, widget.frameId) : {};
+    await session.send('Runtime.evaluate', { expression, contextId }, sessionId);
+  } catch {
+    // No main world (frame gone); injection still fills the textarea
+  }
+}
+
+/**
+ * Hold the page's execute() calls for an invisible/v3 widget being solved.
+ */
+const hookPage = (session, widget) => runInWidgetFrame(session, widget, HOOK_SCRIPT);
+
+/**
+ * Restore execute(), passing calls nobody resolved to the original.
+ */
+const unhookPage = (session, widget) => runInWidgetFrame(session, widget, UNHOOK_SCRIPT);
+
+// All flavours share one script: besides the textarea and callbacks it
+// resolves grecaptcha.execute() promises held by the hook above
+const inject = (token, widgetId) => `
+    (() => {
+      ${DEEP_QUERY}
+      const wid = ${JSON.stringify(widgetId)};
+      // Set the textarea value (ids: g-recaptcha-response, -1, -2, ...)
+      const ta = wid === null
+        ? __deepQuery('#g-recaptcha-response') || __deepQuery('[name="g-recaptcha-response"]')
+        : __deepQuery('#g-recaptcha-response' + (wid ? '-' + wid : ''));
+      if (wid !== null && !ta) return 'widget-not-found';
+      if (ta) {
+        ta.value = ${JSON.stringify(token)};
+        ta.style.display = 'block'; // make visible temporarily for events
+        ta.dispatchEvent(new Event('input', { bubbles: true }));
+        ta.style.display = '';
+      }
+
+      // Method 0: resolve execute() calls the page is awaiting
+      let resolved = 0;
+      const hook = window.__captchaRelayRecaptcha;
+      if (hook && hook.pending.length) {
+        hook.pending = hook.pending.filter(p => {
+          if (wid !== null && p.widgetId !== null && p.widgetId !== wid) return true;
+          p.resolve(${JSON.stringify(token)});
+          resolved++;
+          return false;
+        });
+      }
+
+      // Try to call the registered callback
+      try {
+        // Method 1: data-callback attribute
+        const widget = wid === null ? __deepQuery('.g-recaptcha') : ta.closest('.g-recaptcha');
+        if (widget && widget.dataset.callback) {
+          window[widget.dataset.callback](${JSON.stringify(token)});
+          return resolved ? 'execute-promise+callback-attr' : 'callback-attr';
+        }
+      } catch(e) {}
+
+      if (resolved) return 'execute-promise';
+
+      try {
+        // Method 2: grecaptcha internal
+        if (typeof ___grecaptcha_cfg !== 'undefined') {
+          const clients = ___grecaptcha_cfg.clients;
+          for (const key of wid === null ? Object.keys(clients) : [wid]) {
+            const client = clients[key];
+            // Walk the object tree to find callback
+            const walk = (obj, depth) => {
+              if (depth > 4 || !obj) return;
+              for (const k of Object.keys(obj)) {
+                if (typeof obj[k] === 'function' && k === 'callback') {
+                  obj[k](${JSON.stringify(token)});
+                  return true;
+                }
+                if (typeof obj[k] === 'object') {
+                  if (walk(obj[k], depth + 1)) return true;
+                }
+              }
+            };
+            if (client) walk(client, 0);
+          }
+          return 'internal-callback';
+        }
+      } catch(e) {}
+
+      // Method 3: grecaptcha.execute style
+      try {
+        if (typeof grecaptcha !== 'undefined' && grecaptcha.getResponse) {
+          return 'grecaptcha-available';
+        }
+      } catch(e) {}
+
+      return 'textarea-only';
+    })()
+  `;
+
+function responseField(widgetId) {
+  if (widgetId === null || widgetId === undefined) return `[name="${FIELD}"]`;
+  return `[id=${JSON.stringify(widgetId ? `${FIELD}-${widgetId}` : FIELD)}]`;
+}
+
+const getResponse = (widgetId, type) => `
+  (() => {
+    if (typeof grecaptcha === 'undefined') return null;
+    const g = ${JSON.stringify(type.startsWith('recaptcha-enterprise'))} && grecaptcha.enterprise ? grecaptcha.enterprise : grecaptcha;
+    const wid = ${JSON.stringify(widgetId)};
+    return { api: 'grecaptcha', response: wid === null ? g.getResponse() : g.getResponse(wid) };
+  })()
+`;
+
+module.exports = {
+  name: 'recaptcha',
+  types: TYPES,
+  detect,
+  scriptSelector: 'script[src*="recaptcha"]',
+  genericType: 'recaptcha-v2',
+  vendorFrame: /^https:\/\/(www\.google\.com\/recaptcha|www\.recaptcha\.net)\//,
+  hints: ['.g-recaptcha', 'iframe[src*="recaptcha"]', 'script[src*="recaptcha"]'],
+  template: builtinTemplate,
+  inject,
+  responseField,
+  getResponse,
+  hookPage,
+  unhookPage,
+  // Base64url-ish, typically several hundred characters
+  validateToken: (token) => plausibleToken(token, 20) && /^[\w-]+$/.test(token),
+  tokenTtl: 2 * 60 * 1000,
+};
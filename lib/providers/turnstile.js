@@ -0,0 +1,85 @@
+/**
+ * Cloudflare Turnstile
+ */
+const { DEEP_QUERY } = require('../frames');
+const { builtinTemplate, plausibleToken } = require('./common');
+
+// Page-side (serialized)
+function detect(ctx) {
+  ctx.scan({
+    type: 'turnstile',
+    container: '.cf-turnstile',
+    iframe: 'iframe[src*="challenges.cloudflare.com"]',
+    // Response input id is <widgetId>_response
+    field: 'input[name="cf-turnstile-response"]',
+    keyRe: /[?&/](?:k=)?(0x[A-Za-z0-9_-]+)/,
+    // action/cdata are bound into the token
+    paramsOf: (container) => ctx.pickData(container, ['action', 'cdata', 'theme', 'size', 'language', 'appearance']),
+    widgetIdOf: (field) => {
+      const m = field && field.id.match(/^(.+)_response$/);
+      return m ? m[1] : null;
+    },
+  });
+}
+
+const inject = (token, widgetId) => `
+    (() => {
+      ${DEEP_QUERY}
+      const wid = ${JSON.stringify(widgetId)};
+      // Response input id is <widgetId>_response
+      const ta = wid === null
+        ? __deepQuery('[name="cf-turnstile-response"]') || __deepQuery('input[name="cf-turnstile-response"]')
+        : __deepQuery('#' + CSS.escape(wid + '_response'));
+      if (wid !== null && !ta) return 'widget-not-found';
+      if (ta) ta.value = ${JSON.stringify(token)};
+
+      // Try turnstile callback
+      try {
+        const widget = wid === null ? __deepQuery('.cf-turnstile') : ta.closest('.cf-turnstile');
+        if (widget && widget.dataset.callback) {
+          window[widget.dataset.callback](${JSON.stringify(token)});
+          return 'callback';
+        }
+      } catch(e) {}
+
+      return 'textarea-only';
+    })()
+  `;
+
+function responseField(widgetId) {
+  if (widgetId === null || widgetId === undefined) return '[name="cf-turnstile-response"]';
+  return `[id=${JSON.stringify(`${widgetId}_response`)}]`;
+}
+
+const getResponse = (widgetId) => `
+  (() => {
+    if (typeof turnstile === 'undefined') return null;
+    const wid = ${JSON.stringify(widgetId)};
+    return { api: 'turnstile', response: wid === null ? turnstile.getResponse() : turnstile.getResponse(wid) };
+  })()
+`;
+
+const isExpired = (widgetId) => `
+  (() => {
+    if (typeof turnstile === 'undefined' || !turnstile.isExpired) return false;
+    const wid = ${JSON.stringify(widgetId)};
+    return !!turnstile.isExpired(wid === null ? undefined : wid);
+  })()
+`;
+
+module.exports = {
+  name: 'turnstile',
+  types: ['turnstile'],
+  detect,
+  scriptSelector: 'script[src*="turnstile"]',
+  vendorFrame: /^https:\/\/challenges\.cloudflare\.com\//,
+  hints: ['.cf-turnstile', 'iframe[src*="challenges.cloudflare.com"]', 'script[src*="turnstile"]'],
+  template: builtinTemplate,
+  inject,
+  responseField,
+  getResponse,
+  isExpired,
+  // 0.xxx...; the dummy test keys answer XXXX.DUMMY.TOKEN.XXXX
+  validateToken: (token) => plausibleToken(token, 20),
+  tokenTtl: 5 * 60 * 1000,
+};
@@ -1,81 +1,375 @@
 /**
  * Lightweight HTTP relay server for CAPTCHA solving
+ *
+ * A relay daemon listens on one port and hosts many concurrent jobs, each
+ * served at its own path (`/job/<id>`) and receiving its token at
+ * `/job/<id>/token`. Every job carries an unguessable capability key that
+ * must be presented as `?key=` on both routes; a job accepts one token and
+ * is then marked consumed. Fixed paths outside /job/ can be handed to other
+ * handlers with route() (the solver API facade in solverapi.js).
+ *
+ * Every page also listens on `/job/<id>/status` (server-sent events) and
+ * tells the human when the job is cancelled, expires or is no longer needed.
  */
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
-function createRelayServer({ type, sitekey, pageUrl, timeout = 120000 }) {
-  return new Promise((resolve, reject) => {
-    let tokenResolve;
-    const tokenPromise = new Promise(r => { tokenResolve = r; });
-    let server;
-    let timer;
-
-    const templateFile = path.join(__dirname, 'templates', `${type}.html`);
-    let template;
-    try {
-      template = fs.readFileSync(templateFile, 'utf-8');
-    } catch {
-      reject(new Error(`No template for CAPTCHA type: ${type}`));
-      return;
+// /job/<id>, /job/<id>/token, or a job-defined route such as /job/<id>/stream
+const JOB_PATH_RE = /^\/job\/([a-f0-9]+)(?:\/([a-z]+))?\/?$/;
+
+// How long a settled job is remembered so late requests get 410 instead of 404
+const SETTLED_JOB_TTL = 5 * 60 * 1000;
+
+// How long a follow-up job's POST waits for job.reply() before answering plainly
+const REPLY_WAIT = 60 * 1000;
+
+// Keeps idle status streams open through tunnels and proxies
+const STATUS_HEARTBEAT = 25 * 1000;
+
+// Why a job's link stopped working, for 410 answers
+const GONE_TEXT = {
+  consumed: 'Already solved',
+  expired: 'Link expired',
+  cancelled: 'Cancelled',
+  closed: 'Link expired',
+};
+
+// Added to every job page: shows how the job ended when that wasn't the
+// human's own submission. Pages with a #status element get the message
+// there, others a banner.
+const STATUS_SCRIPT = `
+<script>
+(() => {
+  if (!window.EventSource) return;
+  const messages = {
+    cancelled: 'This request was cancelled. You can close this page.',
+    expired: 'This link has expired.',
+    closed: 'This CAPTCHA is no longer needed. You can close this page.',
+  };
+  const events = new EventSource(location.pathname.replace(/\/$/, '') + '/status' + location.search);
+  const show = (text) => {
+    let el = document.getElementById('status');
+    if (!el) {
+      el = document.createElement('div');
+      el.style.cssText = 'position:fixed;top:0;left:0;right:0;padding:12px;text-align:center;background:#442d2d;color:#d59595;font:1em system-ui,sans-serif;z-index:99999';
+      document.body.appendChild(el);
     }
+    el.className = 'status error';
+    el.textContent = text;
+  };
+  for (const state of Object.keys(messages)) {
+    events.addEventListener(state, () => {
+      events.close();
+      show(messages[state]);
+    });
+  }
+  // The human's own submission; the page already says so
+  events.addEventListener('consumed', () => events.close());
+})();
+</script>
+`;
+
+function keyMatches(expected, given) {
+  if (typeof given !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// Render parameters that belong on the provider's script URL rather than on
+// the widget element
+const SCRIPT_PARAMS = ['hl', 'endpoint', 'assethost', 'imghost', 'reportapi'];
 
-    const html = template
-      .replace(/\{\{SITEKEY\}\}/g, sitekey)
-      .replace(/\{\{PAGE_URL\}\}/g, pageUrl || '');
+/**
+ * Expand render parameters into template fragments:
+ *   {{WIDGET_ATTRS}}  ` data-theme="dark" data-cdata="..."` for the widget element
+ *   {{SCRIPT_QUERY}}  `?hl=de` (or empty) for a bare script URL
+ *   {{SCRIPT_PARAMS}} `&hl=de` (or empty) for a script URL that already has a query
+ * Attributes the template hard-codes on its own (e.g. data-size="invisible")
+ * are not repeated.
+ */
+function renderParams(template, params) {
+  const attrs = [];
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null || value === '') continue;
+    if (SCRIPT_PARAMS.includes(key)) {
+      query.set(key, value);
+    } else {
+      const attr = 'data-' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+      if (!template.includes(`${attr}=`)) attrs.push(` ${attr}="${escapeHtml(value)}"`);
+    }
+  }
+  const qs = escapeHtml(query.toString());
+  return {
+    widgetAttrs: attrs.join(''),
+    scriptQuery: qs ? `?${qs}` : '',
+    scriptParams: qs ? `&${qs}` : '',
+  };
+}
 
-    server = http.createServer((req, res) => {
-      if (req.method === 'GET' && req.url === '/') {
-        res.writeHead(200, { 'Content-Type': 'text/html', 'Access-Control-Allow-Origin': '*' });
-        res.end(html);
-      } else if (req.method === 'POST' && req.url === '/token') {
+// Default payload check: token jobs accept { token: '<non-empty string>' }
+function acceptToken(body) {
+  return typeof body.token === 'string' && body.token ? body.token : null;
+}
+
+// A provider's own template file, else the built-in one for the type
+function loadTemplate(type, templateFile = path.join(__dirname, 'templates', `${type}.html`)) {
+  try {
+    return fs.readFileSync(templateFile, 'utf-8');
+  } catch {
+    throw new Error(`No template for CAPTCHA type: ${type}`);
+  }
+}
+
+// The relay's own pages post to the host that served them, under whatever
+// name the tunnel gave it. Browsers can't forge Origin, and a custom
+// X-Forwarded-Host would need a preflight this server doesn't allow
+function isSameOrigin(req, origin) {
+  let host;
+  try {
+    host = new URL(origin).host;
+  } catch {
+    return false;
+  }
+  return host === req.headers.host || host === req.headers['x-forwarded-host'];
+}
+
+/**
+ * Start a relay daemon that can host many jobs on a single port.
+ * @param {object} opts
+ * @param {number} opts.port - Port to listen on (0 = random)
+ * @param {string} opts.host - Interface to bind (default: '0.0.0.0')
+ * @param {string[]} opts.allowedOrigins - Origins allowed to submit tokens
+ *   cross-origin. When set, token POSTs from any other foreign (or no) Origin
+ *   are rejected; the relay's own pages are always accepted. When unset, only
+ *   same-origin browser requests and non-browser clients holding the key can
+ *   submit.
+ */
+function createRelayDaemon({ port = 0, host = '0.0.0.0', allowedOrigins } = {}) {
+  return new Promise((resolve, reject) => {
+    const jobs = new Map();
+    // Daemon-level routes by exact path, e.g. /in.php
+    const routes = new Map();
+
+    const originAllowed = (req, origin) => (
+      !allowedOrigins || (origin && isSameOrigin(req, origin)) || allowedOrigins.includes(origin)
+    );
+
+    const corsHeaders = (origin) => (
+      allowedOrigins && origin && allowedOrigins.includes(origin)
+        ? { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' }
+        : {}
+    );
+
+    const server = http.createServer((req, res) => {
+      const [urlPath, query = ''] = req.url.split('?');
+      const key = new URLSearchParams(query).get('key');
+      const origin = req.headers.origin;
+      const match = urlPath.match(JOB_PATH_RE);
+      const job = match && jobs.get(match[1]);
+
+      if (routes.has(urlPath)) {
+        // Route handlers do their own authentication
+        routes.get(urlPath)(req, res);
+      } else if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+          ...corsHeaders(origin),
+          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type',
+        });
+        res.end();
+      } else if (!job || !keyMatches(job.key, key)) {
+        // Unknown job and wrong key look the same so ids can't be probed
+        res.writeHead(404);
+        res.end('Not found');
+      } else if (job.state !== 'pending') {
+        res.writeHead(410);
+        res.end(GONE_TEXT[job.state]);
+      } else if (job.expiresAt && Date.now() > job.expiresAt) {
+        job.resolve(null, 'expired');
+        res.writeHead(410);
+        res.end('Link expired');
+      } else if (match[2] === 'status' && req.method === 'GET') {
+        // Held open until the job settles; the event name is the new state
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store' });
+        res.write(': pending\n\n');
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STATUS_HEARTBEAT);
+        job.watchers.add(res);
+        res.on('close', () => {
+          clearInterval(heartbeat);
+          job.watchers.delete(res);
+        });
+      } else if (match[2] && match[2] !== 'token') {
+        const route = job.routes[match[2]];
+        if (route && req.method === 'POST' && !originAllowed(req, origin)) {
+          res.writeHead(403);
+          res.end('Origin not allowed');
+        } else if (route) {
+          route(req, res);
+        } else {
+          res.writeHead(404);
+          res.end('Not found');
+        }
+      } else if (req.method === 'GET' && !match[2]) {
+        res.writeHead(200, { 'Content-Type': 'text/html', 'Cache-Control': 'no-store' });
+        res.end(job.html);
+      } else if (req.method === 'POST' && match[2]) {
+        if (!originAllowed(req, origin)) {
+          res.writeHead(403);
+          res.end('Origin not allowed');
+          return;
+        }
         let body = '';
         req.on('data', c => body += c);
         req.on('end', () => {
+          let token = null;
           try {
-            const { token } = JSON.parse(body);
-            res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
-            res.end(JSON.stringify({ ok: true }));
-            // Write token to predictable file for external consumers
-            const tokenFile = path.join(require('os').tmpdir(), 'captcha-relay-token.txt');
-            fs.writeFileSync(tokenFile, token);
-            tokenResolve(token);
-          } catch {
+            token = job.accept(JSON.parse(body) || {});
+          } catch {}
+          if (token === null || token === undefined) {
             res.writeHead(400);
             res.end('Bad request');
+            return;
           }
+          // Another submission may have won while this body was streaming
+          if (job.state !== 'pending') {
+            res.writeHead(410);
+            res.end('Already solved');
+            return;
+          }
+          job.resolve(token, 'consumed');
+          const send = (data = {}) => {
+            res.writeHead(200, { 'Content-Type': 'application/json', ...corsHeaders(origin) });
+            res.end(JSON.stringify({ ok: true, ...data }));
+          };
+          if (!job.replied) return send();
+          const wait = setTimeout(send, REPLY_WAIT);
+          job.replied.then(data => {
+            clearTimeout(wait);
+            send(data);
+          });
         });
-      } else if (req.method === 'OPTIONS') {
-        res.writeHead(200, {
-          'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type',
-        });
-        res.end();
       } else {
         res.writeHead(404);
         res.end('Not found');
       }
     });
 
-    server.listen(0, '0.0.0.0', () => {
-      const port = server.address().port;
-      timer = setTimeout(() => {
-        server.close();
-        tokenResolve(null); // timeout
-      }, timeout);
+    /**
+     * Register a new job. Returns a handle whose waitForToken() resolves with
+     * the token, or null on timeout / expiry / close.
+     * @param {object} opts.params - Widget render parameters from detection
+     *   (theme, size, s, cdata, rqdata, hl, ...), reproduced on the relay page
+     * @param {number} opts.expiresIn - Optional link lifetime in ms; the link
+     *   stops working after this even if the job timeout is longer
+     * @param {string} opts.template - Relay page file (default:
+     *   templates/<type>.html)
+     * @param {object} opts.vars - Extra {{KEY}} template substitutions
+     *   (HTML-escaped), for pages that aren't provider widgets
+     * @param {Function} opts.accept - Maps the POSTed JSON body to the value
+     *   waitForToken() resolves with, or null to reject it with 400
+     *   (default: the body's `token` string)
+     * @param {boolean} opts.followUp - Hold the POST response until the
+     *   handle's reply(data) is called; data is merged into the JSON answer
+     *   (e.g. { next } to send the page on to another job)
+     * @param {object} opts.routes - Extra `(req, res)` handlers served at
+     *   /job/<id>/<name>, behind the same key and pending checks
+     */
+    function addJob({ type, sitekey, pageUrl, action, params = {}, timeout = 120000, expiresIn, template: templateFile, vars = {}, accept = acceptToken, followUp = false, routes = {} }) {
+      const template = loadTemplate(type, templateFile);
+      const id = crypto.randomBytes(8).toString('hex');
+      const key = crypto.randomBytes(24).toString('base64url');
+      const jobPath = `/job/${id}`;
+      const query = `?key=${key}`;
 
-      resolve({
-        port,
-        waitForToken: async () => {
-          const token = await tokenPromise;
+      let tokenResolve;
+      const tokenPromise = new Promise(r => { tokenResolve = r; });
+      let replyResolve = null;
+      const replied = followUp ? new Promise(r => { replyResolve = r; }) : null;
+
+      const rendered = renderParams(template, { ...params, ...(action ? { action } : {}) });
+      let html = template;
+      for (const [name, value] of Object.entries(vars)) {
+        html = html.replace(new RegExp(`\\{\\{${name}\\}\\}`, 'g'), () => escapeHtml(value));
+      }
+      html = html
+        .replace(/\{\{WIDGET_ATTRS\}\}/g, rendered.widgetAttrs)
+        .replace(/\{\{SCRIPT_QUERY\}\}/g, rendered.scriptQuery)
+        .replace(/\{\{SCRIPT_PARAMS\}\}/g, rendered.scriptParams)
+        .replace(/\{\{SITEKEY\}\}/g, escapeHtml(sitekey))
+        .replace(/\{\{PAGE_URL\}\}/g, escapeHtml(pageUrl || ''))
+        .replace(/\{\{ACTION\}\}/g, escapeHtml(action || ''))
+        .replace(/\{\{TOKEN_PATH\}\}/g, `${jobPath}/token${query}`);
+      html = html.includes('</body>') ? html.replace('</body>', () => `${STATUS_SCRIPT}</body>`) : html + STATUS_SCRIPT;
+
+      const job = {
+        type,
+        html,
+        key,
+        accept,
+        replied,
+        routes,
+        watchers: new Set(),
+        state: 'pending',
+        expiresAt: expiresIn ? Date.now() + expiresIn : null,
+        resolve: (token, state = 'closed') => {
+          if (job.state !== 'pending') return;
+          job.state = state;
           clearTimeout(timer);
-          server.close();
-          return token;
+          for (const res of job.watchers) res.end(`event: ${state}\ndata: {}\n\n`);
+          tokenResolve(token);
+          setTimeout(() => jobs.delete(id), SETTLED_JOB_TTL).unref();
         },
+      };
+      const timer = setTimeout(() => job.resolve(null, 'expired'), Math.min(timeout, expiresIn || Infinity));
+
+      jobs.set(id, job);
+
+      return {
+        id,
+        type,
+        path: jobPath + query,
+        expiresAt: job.expiresAt,
+        get state() { return job.state; },
+        waitForToken: () => tokenPromise,
+        reply: (data = {}) => replyResolve && replyResolve(data),
+        // A held follow-up POST that never got reply() tells the page the
+        // CAPTCHA wasn't solved; after a reply() this changes nothing
         close: () => {
-          clearTimeout(timer);
+          job.resolve(null);
+          if (replyResolve) replyResolve({ solved: false, message: 'This CAPTCHA request ended without a solution.' });
+        },
+        // Like close(), with the job's state 'cancelled' and the page saying so
+        cancel: () => {
+          job.resolve(null, 'cancelled');
+          if (replyResolve) replyResolve({ solved: false, message: 'This request was cancelled.' });
+        },
+      };
+    }
+
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve({
+        port: server.address().port,
+        jobs,
+        addJob,
+        /**
+         * Serve a fixed path with handler(req, res); null removes it.
+         */
+        route: (routePath, handler) => {
+          if (handler) routes.set(routePath, handler);
+          else routes.delete(routePath);
+        },
+        close: () => {
+          for (const job of jobs.values()) job.resolve(null);
+          jobs.clear();
           server.close();
         },
       });
@@ -85,4 +379,24 @@ function createRelayServer({ type, sitekey, pageUrl, timeout = 120000 }) {
   });
 }
 
-module.exports = { createRelayServer };
+/**
+ * Single-job relay on a random port. Kept for callers that don't need a
+ * long-running daemon; the server shuts down once the job settles.
+ */
+async function createRelayServer({ type, sitekey, pageUrl, action, params, timeout = 120000, expiresIn, template, accept, allowedOrigins }) {
+  loadTemplate(type, template);
+  const daemon = await createRelayDaemon({ allowedOrigins });
+  const job = daemon.addJob({ type, sitekey, pageUrl, action, params, timeout, expiresIn, template, accept });
+  return {
+    port: daemon.port,
+    path: job.path,
+    waitForToken: async () => {
+      const token = await job.waitForToken();
+      daemon.close();
+      return token;
+    },
+    close: () => daemon.close(),
+  };
+}
+
+module.exports = { createRelayDaemon, createRelayServer, keyMatches };
@@ -0,0 +1,116 @@
+/**
+ * Token sinks — where a solved token is delivered besides the return value
+ *
+ * Sinks are configured with spec strings (CLI-friendly) or objects:
+ *   'file'                      per-job file in os.tmpdir(), mode 0600
+ *   'file:/var/run/relay'       per-job file in the given directory
+ *   'socket:/tmp/relay.sock'    JSON line to a Unix domain socket
+ *   'pipe:/tmp/relay.fifo'      JSON line to a named pipe (needs a reader)
+ *   'webhook:https://host/hook' JSON POST
+ *   'stdout'                    JSON line on stdout
+ *   'none'                      no delivery at all
+ *
+ * Object form: { type: 'webhook', url, headers }. A plain function
+ * `async (record) => detail` is also accepted as a custom sink.
+ */
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { fromSpec } = require('./spec');
+
+const DEFAULT_SINKS = ['file'];
+
+function fileSink({ dir } = {}) {
+  return async (record) => {
+    const file = path.join(dir || os.tmpdir(), `captcha-relay-${record.jobId}.txt`);
+    // wx: never follow or clobber an existing file at this path. Result
+    // objects (GeeTest) are written as JSON
+    const body = typeof record.token === 'string' ? record.token : JSON.stringify(record.token);
+    await fs.promises.writeFile(file, body, { mode: 0o600, flag: 'wx' });
+    return file;
+  };
+}
+
+function socketSink({ path: sockPath }) {
+  return (record) => new Promise((resolve, reject) => {
+    const conn = net.createConnection(sockPath, () => {
+      conn.end(JSON.stringify(record) + '\n', () => resolve(sockPath));
+    });
+    conn.setTimeout(5000, () => conn.destroy(new Error('socket sink timeout')));
+    conn.on('error', reject);
+  });
+}
+
+function pipeSink({ path: pipePath }) {
+  return async (record) => {
+    // O_NONBLOCK makes open fail with ENXIO instead of hanging when nobody reads
+    const fh = await fs.promises.open(pipePath, fs.constants.O_WRONLY | fs.constants.O_NONBLOCK);
+    try {
+      await fh.write(JSON.stringify(record) + '\n');
+    } finally {
+      await fh.close();
+    }
+    return pipePath;
+  };
+}
+
+function webhookSink({ url, headers = {} }) {
+  return async (record) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(record),
+      signal: AbortSignal.timeout(10000),
+    });
+    if (!res.ok) throw new Error(`webhook responded ${res.status}`);
+    return url;
+  };
+}
+
+function stdoutSink() {
+  return async (record) => {
+    process.stdout.write(JSON.stringify({ event: 'token', ...record }) + '\n');
+    return 'stdout';
+  };
+}
+
+const SINK_TYPES = {
+  file: fileSink,
+  socket: socketSink,
+  pipe: pipeSink,
+  webhook: webhookSink,
+  stdout: stdoutSink,
+};
+
+// Which option the `type:<arg>` part of a spec string fills in
+const SPEC_ARG = { file: 'dir', socket: 'path', pipe: 'path', webhook: 'url' };
+
+/**
+ * Turn a sink spec (string, object or function) into { name, deliver }.
+ * Returns null for 'none'.
+ */
+function createSink(spec) {
+  const sink = fromSpec(spec, { label: 'token sink', types: SINK_TYPES, args: SPEC_ARG, optionalArg: ['file'] });
+  return sink && { name: sink.name, deliver: sink.handler };
+}
+
+function createSinks(specs = DEFAULT_SINKS) {
+  return [].concat(specs).map(createSink).filter(Boolean);
+}
+
+/**
+ * Deliver a token record to every sink. Never throws; returns one
+ * { sink, ok, detail | error } entry per sink.
+ */
+async function deliverToken(sinks, record) {
+  return Promise.all(sinks.map(async ({ name, deliver }) => {
+    try {
+      return { sink: name, ok: true, detail: await deliver(record) };
+    } catch (e) {
+      return { sink: name, ok: false, error: e.message };
+    }
+  }));
+}
+
+module.exports = { createSinks, deliverToken, DEFAULT_SINKS };
@@ -0,0 +1,271 @@
+/**
+ * 2captcha / anti-captcha compatible API on the relay daemon
+ *
+ * Existing scrapers submit tasks the way they would to a solving service and
+ * poll for the result; each task becomes an ordinary human relay job.
+ *
+ *   2captcha     GET|POST /in.php   method=userrecaptcha|hcaptcha|turnstile
+ *                GET      /res.php  action=get|getbalance|reportgood|reportbad
+ *   anti-captcha POST     /createTask, /getTaskResult, /getBalance,
+ *                         /reportCorrectRecaptcha, /reportIncorrectRecaptcha
+ *
+ * The second form is also what 2captcha's v2 API (api.2captcha.com) speaks.
+ * Every call needs one of the configured API keys (`key` / `clientKey`).
+ * Only token tasks by sitekey and page URL are supported; proxy fields are
+ * ignored, since the human's own browser does the solving.
+ */
+const crypto = require('crypto');
+const { keyMatches } = require('./server');
+
+// How long a finished task's result can still be fetched
+const RESULT_TTL = 10 * 60 * 1000;
+
+// Largest request body accepted
+const MAX_BODY = 64 * 1024;
+
+// anti-captcha error ids by code
+const ERROR_IDS = {
+  ERROR_KEY_DOES_NOT_EXIST: 1,
+  ERROR_NO_SLOT_AVAILABLE: 2,
+  ERROR_CAPTCHA_UNSOLVABLE: 12,
+  ERROR_NO_SUCH_METHOD: 14,
+  ERROR_NO_SUCH_CAPCHA_ID: 16,
+  ERROR_TASK_ABSENT: 22,
+  ERROR_TASK_NOT_SUPPORTED: 23,
+  ERROR_INCORRECT_SESSION_DATA: 24,
+  ERROR_RECAPTCHA_INVALID_SITEKEY: 31,
+};
+
+const truthy = (v) => v === true || v === 1 || v === '1' || v === 'true';
+
+/**
+ * Relay job options for a 2captcha in.php request, or an error code.
+ */
+function fromTwoCaptcha(q) {
+  const sitekey = q.method === 'userrecaptcha' ? q.googlekey : q.sitekey;
+  const params = {};
+  let type;
+  if (q.method === 'userrecaptcha') {
+    const prefix = truthy(q.enterprise) ? 'recaptcha-enterprise' : 'recaptcha';
+    if (q.version === 'v3') type = `${prefix}-v3`;
+    else if (truthy(q.invisible)) type = truthy(q.enterprise) ? 'recaptcha-enterprise-invisible' : 'recaptcha-v2-invisible';
+    else type = truthy(q.enterprise) ? 'recaptcha-enterprise' : 'recaptcha-v2';
+    if (q['data-s']) params.s = q['data-s'];
+  } else if (q.method === 'hcaptcha') {
+    type = 'hcaptcha';
+    if (q.data) params.rqdata = q.data;
+    if (truthy(q.invisible)) params.size = 'invisible';
+  } else if (q.method === 'turnstile') {
+    type = 'turnstile';
+    if (q.data) params.cdata = q.data;
+  } else {
+    return { error: 'ERROR_BAD_PARAMETERS' };
+  }
+  if (!sitekey) return { error: 'ERROR_GOOGLEKEY' };
+  if (!/^https?:\/\//.test(q.pageurl || '')) return { error: 'ERROR_PAGEURL' };
+  return { type, sitekey, pageUrl: q.pageurl, action: q.action || null, params };
+}
+
+/**
+ * Relay job options for an anti-captcha task object, or an error code.
+ */
+function fromTask(task) {
+  const kind = String(task.type || '').replace(/Proxyless$/, '').replace(/Task$/, '');
+  const enterprise = task.enterprisePayload || {};
+  const params = {};
+  let type;
+  if (kind === 'RecaptchaV2' || kind === 'NoCaptcha') {
+    type = task.isInvisible ? 'recaptcha-v2-invisible' : 'recaptcha-v2';
+    if (task.recaptchaDataSValue) params.s = task.recaptchaDataSValue;
+  } else if (kind === 'RecaptchaV2Enterprise') {
+    type = task.isInvisible ? 'recaptcha-enterprise-invisible' : 'recaptcha-enterprise';
+    if (enterprise.s) params.s = enterprise.s;
+  } else if (kind === 'RecaptchaV3') {
+    type = task.isEnterprise ? 'recaptcha-enterprise-v3' : 'recaptcha-v3';
+  } else if (kind === 'RecaptchaV3Enterprise') {
+    type = 'recaptcha-enterprise-v3';
+  } else if (kind === 'HCaptcha') {
+    type = 'hcaptcha';
+    if (enterprise.rqdata) params.rqdata = enterprise.rqdata;
+    if (task.isInvisible) params.size = 'invisible';
+  } else if (kind === 'Turnstile') {
+    type = 'turnstile';
+    const cdata = task.turnstileCData || task.data;
+    if (cdata) params.cdata = cdata;
+  } else {
+    return { error: task.type ? 'ERROR_TASK_NOT_SUPPORTED' : 'ERROR_TASK_ABSENT' };
+  }
+  if (!task.websiteKey) return { error: 'ERROR_RECAPTCHA_INVALID_SITEKEY' };
+  if (!/^https?:\/\//.test(task.websiteURL || '')) return { error: 'ERROR_INCORRECT_SESSION_DATA' };
+  return { type, sitekey: task.websiteKey, pageUrl: task.websiteURL, action: task.pageAction || task.action || null, params };
+}
+
+// Query string plus a form-encoded or JSON body, as one plain object
+function readRequest(req) {
+  return new Promise((resolve, reject) => {
+    const query = Object.fromEntries(new URLSearchParams(req.url.split('?')[1] || ''));
+    let body = '';
+    req.on('data', (c) => {
+      body += c;
+      if (body.length > MAX_BODY) {
+        reject(new Error('body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body) return resolve(query);
+      try {
+        const parsed = /json/.test(req.headers['content-type'] || '') || body.trimStart().startsWith('{')
+          ? JSON.parse(body)
+          : Object.fromEntries(new URLSearchParams(body));
+        resolve({ ...query, ...parsed });
+      } catch (e) {
+        reject(e);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Serve the solver API endpoints on a relay daemon.
+ * @param {object} daemon - createRelayDaemon() handle
+ * @param {object} opts
+ * @param {string[]} opts.keys - Accepted API keys (at least one)
+ * @param {Function} opts.solve - async ({ type, sitekey, pageUrl, action, params })
+ *   => token; runs the human relay job for a task
+ * @param {number} opts.maxTasks - Tasks in progress at once before
+ *   ERROR_NO_SLOT_AVAILABLE (default: 20)
+ * @param {number} opts.balance - Balance reported to clients that check it
+ *   first; human solves cost nothing (default: 100)
+ * @param {Function} opts.onTask - Called with { id, event, type, error }
+ *   when a task is created, solved or fails
+ * @returns {{ tasks: Map, close: Function }}
+ */
+function mountSolverApi(daemon, { keys, solve, maxTasks = 20, balance = 100, onTask = () => {} }) {
+  if (!keys || !keys.length) throw new Error('The solver API needs at least one API key');
+  const tasks = new Map(); // id → { key, state, token, error, createTime, endTime }
+
+  const authorized = (key) => keys.some(k => keyMatches(k, key));
+
+  const createTask = (key, job) => {
+    const busy = [...tasks.values()].filter(t => t.state === 'processing').length;
+    if (busy >= maxTasks) return { error: 'ERROR_NO_SLOT_AVAILABLE' };
+    // Numeric like the services' ids; random so they can't be enumerated
+    const id = crypto.randomInt(1, 2 ** 47);
+    const task = { key, type: job.type, state: 'processing', token: null, error: null, createTime: Date.now(), endTime: null };
+    tasks.set(id, task);
+    onTask({ id, event: 'created', type: job.type });
+
+    const finish = (state, fields) => {
+      Object.assign(task, { state, endTime: Date.now() }, fields);
+      setTimeout(() => tasks.delete(id), RESULT_TTL).unref();
+    };
+    Promise.resolve().then(() => solve(job)).then((token) => {
+      if (!token) throw new Error('no token');
+      finish('ready', { token });
+      onTask({ id, event: 'solved', type: job.type });
+    }).catch((e) => {
+      finish('failed', { error: 'ERROR_CAPTCHA_UNSOLVABLE' });
+      onTask({ id, event: 'failed', type: job.type, error: e.message });
+    });
+    return { id };
+  };
+
+  // A task belongs to the key that created it
+  const findTask = (key, id) => {
+    const task = tasks.get(Number(id));
+    return task && task.key === key ? task : null;
+  };
+
+  const handle = (respond) => async (req, res) => {
+    let input;
+    try {
+      input = await readRequest(req);
+    } catch {
+      res.writeHead(400);
+      res.end('Bad request');
+      return;
+    }
+    const { status = 200, body, json } = respond(input);
+    res.writeHead(status, { 'Content-Type': json ? 'application/json' : 'text/plain', 'Cache-Control': 'no-store' });
+    res.end(json ? JSON.stringify(body) : String(body));
+  };
+
+  // 2captcha: plain `OK|<value>` / `ERROR_...`, or { status, request } with json=1
+  const twoCaptcha = (q, ok, value) => (truthy(q.json)
+    ? { json: true, body: { status: ok ? 1 : 0, request: value } }
+    : { body: ok ? `OK|${value}` : value });
+
+  // anti-captcha: { errorId: 0, ... } or { errorId, errorCode, errorDescription }
+  const antiCaptcha = (fields, error) => ({
+    json: true,
+    body: error ? { errorId: ERROR_IDS[error] || 1, errorCode: error, errorDescription: error.replace(/^ERROR_/, '').replace(/_/g, ' ').toLowerCase() } : { errorId: 0, ...fields },
+  });
+
+  const routes = {
+    '/in.php': handle((q) => {
+      if (!q.key) return twoCaptcha(q, false, 'ERROR_WRONG_USER_KEY');
+      if (!authorized(q.key)) return twoCaptcha(q, false, 'ERROR_KEY_DOES_NOT_EXIST');
+      const job = fromTwoCaptcha(q);
+      if (job.error) return twoCaptcha(q, false, job.error);
+      const { id, error } = createTask(q.key, job);
+      return error ? twoCaptcha(q, false, error) : twoCaptcha(q, true, String(id));
+    }),
+
+    '/res.php': handle((q) => {
+      if (!q.key) return twoCaptcha(q, false, 'ERROR_WRONG_USER_KEY');
+      if (!authorized(q.key)) return twoCaptcha(q, false, 'ERROR_KEY_DOES_NOT_EXIST');
+      if (q.action === 'getbalance') return truthy(q.json) ? twoCaptcha(q, true, String(balance)) : { body: String(balance) };
+      if (q.action === 'reportgood' || q.action === 'reportbad') return truthy(q.json) ? twoCaptcha(q, true, 'OK_REPORT_RECORDED') : { body: 'OK_REPORT_RECORDED' };
+      if (!q.action) return twoCaptcha(q, false, 'ERROR_EMPTY_ACTION');
+      if (q.action !== 'get') return twoCaptcha(q, false, 'ERROR_BAD_PARAMETERS');
+      if (!/^\d+$/.test(q.id || '')) return twoCaptcha(q, false, 'ERROR_WRONG_ID_FORMAT');
+      const task = findTask(q.key, q.id);
+      if (!task) return twoCaptcha(q, false, 'ERROR_WRONG_CAPTCHA_ID');
+      // Not-ready is status 0, like an error; "CAPCHA" is the service's spelling
+      if (task.state === 'processing') return twoCaptcha(q, false, 'CAPCHA_NOT_READY');
+      return task.state === 'ready' ? twoCaptcha(q, true, task.token) : twoCaptcha(q, false, task.error);
+    }),
+
+    '/createTask': handle((b) => {
+      if (!authorized(b.clientKey)) return antiCaptcha({}, 'ERROR_KEY_DOES_NOT_EXIST');
+      const job = fromTask(b.task || {});
+      if (job.error) return antiCaptcha({}, job.error);
+      const { id, error } = createTask(b.clientKey, job);
+      return antiCaptcha({ taskId: id }, error);
+    }),
+
+    '/getTaskResult': handle((b) => {
+      if (!authorized(b.clientKey)) return antiCaptcha({}, 'ERROR_KEY_DOES_NOT_EXIST');
+      const task = findTask(b.clientKey, b.taskId);
+      if (!task) return antiCaptcha({}, 'ERROR_NO_SUCH_CAPCHA_ID');
+      if (task.state === 'processing') return antiCaptcha({ status: 'processing' });
+      if (task.state === 'failed') return antiCaptcha({}, task.error);
+      return antiCaptcha({
+        status: 'ready',
+        // reCAPTCHA clients read gRecaptchaResponse, Turnstile ones token
+        solution: { gRecaptchaResponse: task.token, token: task.token },
+        cost: '0',
+        createTime: Math.floor(task.createTime / 1000),
+        endTime: Math.floor(task.endTime / 1000),
+        solveCount: 1,
+      });
+    }),
+
+    '/getBalance': handle((b) => (authorized(b.clientKey) ? antiCaptcha({ balance }) : antiCaptcha({}, 'ERROR_KEY_DOES_NOT_EXIST'))),
+    '/reportCorrectRecaptcha': handle((b) => (authorized(b.clientKey) ? antiCaptcha({ status: 'success' }) : antiCaptcha({}, 'ERROR_KEY_DOES_NOT_EXIST'))),
+    '/reportIncorrectRecaptcha': handle((b) => (authorized(b.clientKey) ? antiCaptcha({ status: 'success' }) : antiCaptcha({}, 'ERROR_KEY_DOES_NOT_EXIST'))),
+  };
+
+  for (const [routePath, handler] of Object.entries(routes)) daemon.route(routePath, handler);
+
+  return {
+    tasks,
+    close: () => {
+      for (const routePath of Object.keys(routes)) daemon.route(routePath, null);
+    },
+  };
+}
+
+module.exports = { mountSolverApi };
@@ -0,0 +1,40 @@
+/**
+ * Spec parsing shared by token sinks and notifiers
+ *
+ * Both are configured the same way: a `type:<arg>` string (CLI-friendly), an
+ * object `{ type, ...options }`, or a plain function used as is. 'none'
+ * configures nothing.
+ */
+
+/**
+ * Turn one spec into { name, handler }, or null for 'none'.
+ * @param {string|object|Function} spec
+ * @param {object} kind
+ * @param {string} kind.label - What is being configured, for errors ('token sink')
+ * @param {object} kind.types - type → factory(opts) returning the handler
+ * @param {object} kind.args - type → option the `:<arg>` part of a string fills in
+ * @param {string[]} kind.optionalArg - Types that work without that option
+ */
+function fromSpec(spec, { label, types, args, optionalArg = [] }) {
+  if (typeof spec === 'function') return { name: spec.name || 'custom', handler: spec };
+
+  let type, opts = {};
+  if (typeof spec === 'string') {
+    const i = spec.indexOf(':');
+    type = i >= 0 ? spec.slice(0, i) : spec;
+    if (i >= 0 && args[type]) opts[args[type]] = spec.slice(i + 1);
+  } else if (spec && typeof spec === 'object') {
+    ({ type, ...opts } = spec);
+  }
+
+  if (type === 'none') return null;
+  if (!types[type]) throw new Error(`Unknown ${label}: ${type}`);
+  if (args[type] && !optionalArg.includes(type) && !opts[args[type]]) {
+    const Label = label[0].toUpperCase() + label.slice(1);
+    throw new Error(`${Label} '${type}' needs a target, e.g. ${type}:<${args[type]}>`);
+  }
+
+  return { name: type, handler: types[type](opts) };
+}
+
+module.exports = { fromSpec };
@@ -10,48 +10,149 @@
  * With Tailscale, no tunnel is needed — the relay server is directly
  * accessible via Tailscale IP from any device on the same Tailnet.
  */
-const { spawn } = require('child_process');
+const { spawn, execFileSync } = require('child_process');
 const os = require('os');
+const { abortError } = require('./events');
+
+// Tunnel processes still running; killed when the host exits
+const running = new Set();
+
+/**
+ * Kill a tunnel process and everything it started. `npx localtunnel` runs the
+ * client as a grandchild (npx → sh → lt), which a signal to npx alone would
+ * leave behind, so the tree is looked up and every process signalled.
+ */
+function killTunnel(proc) {
+  if (proc.exitCode !== null || proc.signalCode !== null) return;
+  const pids = process.platform === 'win32' ? [proc.pid] : [proc.pid, ...descendants(proc.pid)];
+  for (const pid of pids) {
+    try {
+      process.kill(pid, 'SIGTERM');
+    } catch {
+      // Already gone
+    }
+  }
+}
+
+// Every process below pid, from one `ps` listing (Linux and macOS)
+function descendants(pid) {
+  let table;
+  try {
+    table = execFileSync('ps', ['-A', '-o', 'pid=,ppid='], { encoding: 'utf8' });
+  } catch {
+    return [];
+  }
+  const children = new Map();
+  for (const line of table.trim().split('\n')) {
+    const [child, parent] = line.trim().split(/\s+/).map(Number);
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(child);
+  }
+  const out = [];
+  for (let queue = [pid]; queue.length;) {
+    for (const child of children.get(queue.shift()) || []) {
+      out.push(child);
+      queue.push(child);
+    }
+  }
+  return out;
+}
+
+function killAll() {
+  for (const proc of running) killTunnel(proc);
+}
+
+// Tunnels share the host's process group, so a terminal Ctrl-C reaches them.
+// A `kill` of the host alone doesn't: when nobody else handles SIGINT or
+// SIGTERM, the tunnels are killed and the host then dies of the signal as it
+// would have. A host with its own handlers stops them itself (stopTunnel).
+const SIGNAL_HANDLERS = {
+  SIGINT: () => onHostSignal('SIGINT'),
+  SIGTERM: () => onHostSignal('SIGTERM'),
+};
+
+function onHostSignal(name) {
+  if (process.listenerCount(name) > 1) return;
+  killAll();
+  unhookHost();
+  process.kill(process.pid, name);
+}
+
+function hookHost() {
+  if (running.size !== 1) return;
+  process.on('exit', killAll);
+  for (const [name, handler] of Object.entries(SIGNAL_HANDLERS)) process.on(name, handler);
+}
+
+function unhookHost() {
+  process.removeListener('exit', killAll);
+  for (const [name, handler] of Object.entries(SIGNAL_HANDLERS)) process.removeListener(name, handler);
+}
+
+function spawnTunnel(command, args) {
+  const proc = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  const forget = () => {
+    if (running.delete(proc) && !running.size) unhookHost();
+  };
+  running.add(proc);
+  hookHost();
+  proc.on('exit', forget);
+  proc.on('error', forget);
+  return proc;
+}
 
 /**
  * Start a tunnel to expose localPort publicly.
  * @param {number} localPort
  * @param {object} opts
  * @param {string} opts.method - 'localtunnel' | 'cloudflared' | 'auto' (default: 'auto')
+ * @param {AbortSignal} opts.signal - Stops a tunnel that is still starting
  */
 function startTunnel(localPort, opts = {}) {
-  const method = opts.method || 'auto';
+  const { method = 'auto', signal } = opts;
 
-  if (method === 'cloudflared') return startCloudflared(localPort);
-  if (method === 'localtunnel') return startLocaltunnel(localPort);
+  if (method === 'cloudflared') return startCloudflared(localPort, signal);
+  if (method === 'localtunnel') return startLocaltunnel(localPort, signal);
 
   // Auto: try localtunnel first, fall back to cloudflared, then local IP
-  return startLocaltunnel(localPort).catch(() =>
-    startCloudflared(localPort)
-  );
+  return startLocaltunnel(localPort, signal).catch((e) => {
+    if (e.name === 'AbortError') throw e;
+    return startCloudflared(localPort, signal);
+  });
 }
 
-function startLocaltunnel(localPort) {
+function startLocaltunnel(localPort, signal) {
   return new Promise((resolve, reject) => {
-    const proc = spawn('npx', ['localtunnel', '--port', String(localPort)], {
-      stdio: ['ignore', 'pipe', 'pipe'],
-    });
+    if (signal && signal.aborted) return reject(abortError(signal));
+    const proc = spawnTunnel('npx', ['localtunnel', '--port', String(localPort)]);
 
+    // The first outcome wins; it also stops listening for an abort
     let resolved = false;
+    const settle = () => {
+      if (resolved) return false;
+      resolved = true;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      return true;
+    };
     const timer = setTimeout(() => {
-      if (!resolved) {
-        resolved = true;
-        proc.kill();
+      if (settle()) {
+        killTunnel(proc);
         reject(new Error('localtunnel timeout'));
       }
     }, 30000);
+    const onAbort = () => {
+      if (settle()) {
+        killTunnel(proc);
+        reject(abortError(signal));
+      }
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
     function checkOutput(data) {
       const text = data.toString();
       const match = text.match(/(https:\/\/[a-z0-9-]+\.loca\.lt)/);
-      if (match && !resolved) {
-        resolved = true;
-        clearTimeout(timer);
+      if (match && settle()) {
         resolve({ url: match[1], process: proc, isLocal: false, method: 'localtunnel' });
       }
     }
@@ -60,46 +161,49 @@ function startLocaltunnel(localPort) {
     proc.stderr.on('data', checkOutput);
 
     proc.on('error', () => {
-      if (!resolved) {
-        resolved = true;
-        clearTimeout(timer);
-        reject(new Error('localtunnel not available'));
-      }
+      if (settle()) reject(new Error('localtunnel not available'));
     });
 
     proc.on('exit', (code) => {
-      if (!resolved) {
-        resolved = true;
-        clearTimeout(timer);
-        reject(new Error(`localtunnel exited with code ${code}`));
-      }
+      if (settle()) reject(new Error(`localtunnel exited with code ${code}`));
     });
   });
 }
 
-function startCloudflared(localPort) {
+function startCloudflared(localPort, signal) {
   return new Promise((resolve, reject) => {
-    const proc = spawn('cloudflared', ['tunnel', '--url', `http://localhost:${localPort}`], {
-      stdio: ['ignore', 'pipe', 'pipe'],
-    });
+    if (signal && signal.aborted) return reject(abortError(signal));
+    const proc = spawnTunnel('cloudflared', ['tunnel', '--url', `http://localhost:${localPort}`]);
 
+    // The first outcome wins; it also stops listening for an abort
     let resolved = false;
+    const settle = () => {
+      if (resolved) return false;
+      resolved = true;
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      return true;
+    };
     const timer = setTimeout(() => {
-      if (!resolved) {
-        resolved = true;
-        proc.kill();
+      if (settle()) {
+        killTunnel(proc);
         // Final fallback: local IP
         const localUrl = `http://${getLocalIp()}:${localPort}`;
         resolve({ url: localUrl, process: null, isLocal: true, method: 'local' });
       }
     }, 15000);
+    const onAbort = () => {
+      if (settle()) {
+        killTunnel(proc);
+        reject(abortError(signal));
+      }
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
 
     function checkOutput(data) {
       const text = data.toString();
       const match = text.match(/https:\/\/[a-z0-9-]+\.trycloudflare\.com/);
-      if (match && !resolved) {
-        resolved = true;
-        clearTimeout(timer);
+      if (match && settle()) {
         resolve({ url: match[0], process: proc, isLocal: false, method: 'cloudflared' });
       }
     }
@@ -108,9 +212,7 @@ function startCloudflared(localPort) {
     proc.stderr.on('data', checkOutput);
 
     proc.on('error', () => {
-      if (!resolved) {
-        resolved = true;
-        clearTimeout(timer);
+      if (settle()) {
         const localUrl = `http://${getLocalIp()}:${localPort}`;
         resolve({ url: localUrl, process: null, isLocal: true, method: 'local' });
       }
@@ -119,9 +221,7 @@ function startCloudflared(localPort) {
 }
 
 function stopTunnel(tunnel) {
-  if (tunnel && tunnel.process) {
-    tunnel.process.kill();
-  }
+  if (tunnel && tunnel.process) killTunnel(tunnel.process);
 }
 
 function getTailscaleIp() {
@@ -0,0 +1,158 @@
+/**
+ * Post-injection verification: did the page actually accept the token?
+ *
+ * Reads the response back through the provider API (each provider's
+ * getResponse expression) and the hidden response field, and optionally waits
+ * for a success signal: a navigation or a selector appearing.
+ */
+const { openSession } = require('./cdp');
+const { DEEP_QUERY, getFrameContext } = require('./frames');
+const { injectInSession } = require('./inject');
+const { findProvider } = require('./providers');
+
+/**
+ * CSS selector for a widget's hidden response field, or null for types
+ * without one.
+ */
+function responseFieldSelector(type, widgetId, providers) {
+  const { responseField } = findProvider(type, providers);
+  return responseField ? responseField(widgetId === undefined ? null : widgetId, type) : null;
+}
+
+const CHECK_SCRIPT = (type, token, widgetId, providers) => {
+  const { getResponse } = findProvider(type, providers);
+  return `
+  (() => {
+    ${DEEP_QUERY}
+    const token = ${JSON.stringify(token)};
+    const fieldSelector = ${JSON.stringify(responseFieldSelector(type, widgetId, providers))};
+    const field = fieldSelector ? __deepQuery(fieldSelector) : null;
+    // Result objects (GeeTest) are checked field by field
+    const expected = token && typeof token === 'object' ? field && token[field.name] : token;
+
+    let read = null;
+    try {
+      read = ${getResponse ? getResponse(widgetId, type) : 'null'};
+    } catch (e) {}
+
+    // An empty getResponse() is no answer: injection fills the field but the
+    // hCaptcha/Turnstile APIs only report tokens their own widget produced
+    return {
+      responseField: field ? field.value === expected : null,
+      api: read ? read.api : null,
+      apiResponse: read && read.response ? read.response === token : null,
+    };
+  })()
+`;
+};
+
+const SELECTOR_SCRIPT = (selector) => `
+  (() => {
+    ${DEEP_QUERY}
+    return !!__deepQuery(${JSON.stringify(selector)});
+  })()
+`;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function currentEntryId(session) {
+  const { currentIndex, entries } = await session.send('Page.getNavigationHistory');
+  return entries[currentIndex] && entries[currentIndex].id;
+}
+
+/**
+ * Read the token back from the widget's frame.
+ */
+async function checkResponse(session, { type, token, frameId, widgetId, providers }) {
+  const { sessionId, contextId } = frameId ? await getFrameContext(session, frameId) : {};
+  const { result } = await session.send('Runtime.evaluate', {
+    expression: CHECK_SCRIPT(type, token, widgetId, providers),
+    contextId,
+    returnByValue: true,
+  }, sessionId);
+  return result.value;
+}
+
+/**
+ * Inject a token, then verify the page accepted it.
+ *
+ * Without success signals, the token counts as accepted when the provider
+ * API's getResponse() returns it, or when the response field holds it and
+ * getResponse() is empty or unavailable. A different non-empty token from
+ * getResponse() fails the check. With `successSelector` and/or
+ * `waitForNavigation`, one of those signals must show up within
+ * `verifyTimeout`.
+ *
+ * @param {object} opts - injectToken options plus:
+ * @param {string} opts.successSelector - CSS selector that signals success (top frame)
+ * @param {boolean} opts.waitForNavigation - Treat a top-level navigation as success
+ * @param {number} opts.verifyTimeout - How long to wait for a signal in ms (default: 10000)
+ * @param {string} opts.retry - 'callback' re-runs the injection (field + callback)
+ *   on failure; 'none' or 'relay' (handled by the caller) don't (default: 'none')
+ * @param {number} opts.retries - Extra attempts for retry 'callback' (default: 1)
+ * @returns {object} { verified, method, details: { injectionMethod, responseField,
+ *   api, apiResponse, navigated, selector, attempts } }
+ */
+async function injectAndVerify(opts) {
+  const {
+    type, token, cdpPort = 18800, targetId, target: criteria, frameId, widgetId = null,
+    successSelector, waitForNavigation = false, verifyTimeout = 10000,
+    retry = 'none', retries = 1, providers,
+  } = opts;
+
+  const { session, release } = await openSession(cdpPort, targetId ? { targetId } : criteria);
+
+  try {
+    const attempts = retry === 'callback' ? 1 + retries : 1;
+    let outcome;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const startEntry = await currentEntryId(session);
+      const injectionMethod = await injectInSession(session, { type, token, frameId, widgetId, providers });
+      const details = { injectionMethod, attempts: attempt, navigated: false, selector: null };
+
+      if (injectionMethod === 'widget-not-found') {
+        outcome = { verified: false, method: 'none', details };
+        continue;
+      }
+
+      if (successSelector || waitForNavigation) {
+        const deadline = Date.now() + verifyTimeout;
+        let method = null;
+        while (!method && Date.now() < deadline) {
+          try {
+            if (waitForNavigation && await currentEntryId(session) !== startEntry) {
+              details.navigated = true;
+              method = 'navigation';
+            } else if (successSelector) {
+              const { result } = await session.send('Runtime.evaluate', {
+                expression: SELECTOR_SCRIPT(successSelector),
+                returnByValue: true,
+              });
+              details.selector = result.value;
+              if (result.value) method = 'success-selector';
+            }
+          } catch {
+            // Mid-navigation; the next tick sees the new document
+          }
+          if (!method) await sleep(250);
+        }
+        outcome = { verified: !!method, method: method || 'none', details };
+      } else {
+        const check = await checkResponse(session, { type, token, frameId, widgetId, providers });
+        Object.assign(details, check);
+        // getResponse() only overrides the field when it holds a different token
+        let method = 'none';
+        if (check.apiResponse) method = 'api-response';
+        else if (check.apiResponse === null && check.responseField) method = 'response-field';
+        outcome = { verified: method !== 'none', method, details };
+      }
+
+      if (outcome.verified) break;
+    }
+    return outcome;
+  } finally {
+    release();
+  }
+}
+
+module.exports = { injectAndVerify, responseFieldSelector, currentEntryId };
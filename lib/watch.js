@@ -0,0 +1,155 @@
+/**
+ * Watch every page target for CAPTCHAs showing up
+ *
+ * A browser-level session discovers targets as they open and close. Each page
+ * gets its own connection (separate from the shared one detection and
+ * injection use, so the domains enabled here don't collide with theirs) and
+ * reports main-frame navigations, load events and DOM mutations that add
+ * CAPTCHA-looking markup. Reports are batched into at most one scan request
+ * per target per delay; what to do with it is up to the caller (see
+ * watchCaptchas in index.js).
+ */
+const { CdpSession, resolveEndpoint, getCdpWsUrl, findPageTarget } = require('./cdp');
+const { listProviders } = require('./providers');
+
+const BINDING = '__captchaRelayNotify';
+
+// Markup that suggests a challenge (each provider's hints plus a bare
+// [data-sitekey]); anything else is ignored by the observer
+function hintSelector(providers) {
+  const hints = listProviders(providers).flatMap(p => p.hints || []);
+  return [...new Set(['[data-sitekey]', ...hints])].join(', ');
+}
+
+// Runs in every document of the page (also at document start, before the
+// root element exists) and calls the binding when matching nodes appear
+const OBSERVER_SCRIPT = (hint) => `
+(() => {
+  if (window.__captchaRelayWatching) return;
+  window.__captchaRelayWatching = true;
+  const HINT = ${JSON.stringify(hint)};
+  let timer = null;
+  const hinted = (node) => node.nodeType === 1 && (node.matches(HINT) || !!node.querySelector(HINT));
+  new MutationObserver((records) => {
+    if (timer) return;
+    if (!records.some(r => (r.type === 'attributes' ? hinted(r.target) : [...r.addedNodes].some(hinted)))) return;
+    timer = setTimeout(() => {
+      timer = null;
+      if (typeof window.${BINDING} === 'function') window.${BINDING}('mutation');
+    }, 250);
+  }).observe(document, { childList: true, subtree: true, attributes: true, attributeFilter: ['src', 'class', 'data-sitekey'] });
+})()
+`;
+
+const IGNORED_URL_RE = /^(chrome|devtools|chrome-extension|edge):/;
+
+/**
+ * @param {object} opts
+ * @param {number|string|object} opts.cdpPort - Port or DevTools endpoint (see cdp.js)
+ * @param {Function} opts.onEvent - Called with { type, targetId, url, reason }:
+ *   'attached' / 'detached'  a page target was picked up / went away
+ *   'navigated'              its main frame navigated
+ *   'scan'                   something changed; run detection (reason: the
+ *                            first of attached, navigation, load, mutation)
+ *   'closed'                 the browser connection ended
+ * @param {number} opts.debounce - Batching delay in ms before a scan (default: 500)
+ * @param {object[]} opts.providers - Extra providers whose hints to watch for
+ * @returns {{ targets: Map, stop: Function }}
+ */
+async function watchTargets(opts = {}) {
+  const { cdpPort = 18800, onEvent = () => {}, debounce = 500, providers } = opts;
+  const { headers } = resolveEndpoint(cdpPort);
+  const observer = OBSERVER_SCRIPT(hintSelector(providers));
+  const targets = new Map(); // targetId → { session, url, timer, reason }
+  let stopped = false;
+
+  const schedule = (targetId, reason) => {
+    const t = targets.get(targetId);
+    if (!t || stopped) return;
+    t.reason = t.reason || reason;
+    if (t.timer) return;
+    t.timer = setTimeout(() => {
+      const r = t.reason;
+      t.reason = null;
+      t.timer = null;
+      onEvent({ type: 'scan', targetId, url: t.url, reason: r });
+    }, debounce);
+  };
+
+  const detach = (targetId) => {
+    const t = targets.get(targetId);
+    if (!t) return;
+    targets.delete(targetId);
+    clearTimeout(t.timer);
+    if (t.session) t.session.close();
+    onEvent({ type: 'detached', targetId, url: t.url });
+  };
+
+  const attach = async ({ targetId, url }) => {
+    if (targets.has(targetId) || IGNORED_URL_RE.test(url)) return;
+    const t = { session: null, url, timer: null, reason: null };
+    targets.set(targetId, t);
+    try {
+      const page = await findPageTarget(cdpPort, targetId);
+      const session = new CdpSession(page.webSocketDebuggerUrl, { headers });
+      await session.connect();
+      if (targets.get(targetId) !== t) {
+        session.close();
+        return;
+      }
+      t.session = session;
+
+      session.on('Runtime.bindingCalled', ({ name, payload }) => {
+        if (name === BINDING) schedule(targetId, payload);
+      });
+      session.on('Page.frameNavigated', ({ frame }) => {
+        if (frame.parentId) return;
+        t.url = frame.url;
+        onEvent({ type: 'navigated', targetId, url: frame.url });
+        schedule(targetId, 'navigation');
+      });
+      session.on('Page.loadEventFired', () => schedule(targetId, 'load'));
+      session.on('disconnected', () => detach(targetId));
+
+      await session.send('Runtime.enable');
+      await session.send('Page.enable');
+      await session.send('Runtime.addBinding', { name: BINDING });
+      await session.send('Page.addScriptToEvaluateOnNewDocument', { source: observer });
+      await session.send('Runtime.evaluate', { expression: observer });
+      onEvent({ type: 'attached', targetId, url });
+      schedule(targetId, 'attached');
+    } catch {
+      // Closed while attaching, or not a debuggable page
+      detach(targetId);
+    }
+  };
+
+  const browser = new CdpSession(await getCdpWsUrl(cdpPort), { headers });
+  await browser.connect();
+  browser.on('Target.targetCreated', ({ targetInfo }) => {
+    if (targetInfo.type === 'page') attach(targetInfo);
+  });
+  browser.on('Target.targetDestroyed', ({ targetId }) => detach(targetId));
+  browser.on('Target.targetInfoChanged', ({ targetInfo }) => {
+    const t = targets.get(targetInfo.targetId);
+    if (t) t.url = targetInfo.url;
+    else if (targetInfo.type === 'page') attach(targetInfo);
+  });
+  browser.on('disconnected', () => {
+    if (stopped) return;
+    stop();
+    onEvent({ type: 'closed' });
+  });
+  // Existing targets are reported as targetCreated right away
+  await browser.send('Target.setDiscoverTargets', { discover: true });
+
+  function stop() {
+    stopped = true;
+    browser.close();
+    for (const targetId of [...targets.keys()]) detach(targetId);
+  }
+
+  return { targets, stop };
+}
+
+module.exports = { watchTargets };